@@ -0,0 +1,4192 @@
+/*
+ *
+ * Piece-related algorithms and functions.
+ *
+ * This file has no DOM dependency and can be used both in the browser (as a
+ * plain script defining globals) and in Node.js (as a CommonJS module). PDF and
+ * Zip output need the jsPDF and JSZip globals, raster output needs a canvas
+ * factory.
+ *
+ */
+
+/** Unit conversions. */
+var unitPt = {mm: 72/25.4, cm: 72/2.54, in: 72, pt: 1}; // Conversion from point to unit. 1in = 72pt = 25.4mm
+
+/** Built-in shim geometry profiles. Dimensions are given either in real units
+    or as ratios (unit = 'ratio'), only their proportions matter for drawing:
+    
+    - length            Shim length, from base to tip.
+    - thickness         Shim thickness at base.
+    - tip               Shim thickness at tip (trapezoidal shims).
+    - negativeSpace     Space between slots, usually the shim depth.
+*/
+var geometryProfiles = {
+    "Default":              {unit: 'ratio', length: 64, thickness: 1,    tip: 0.25,   negativeSpace: 6},
+    "Store-bought shim":    {unit: 'in',    length: 6,  thickness: 0.25, tip: 0.0625, negativeSpace: 1.5},
+};
+
+/** Active geometry profile. */
+var geometry;
+
+/** Ratio between shim side and base. */
+var side;
+
+/** Ratio between shim tip and base. */
+var tip;
+
+/** Distance between tip and vanishing point for trapezoidal shim, used to
+    compute rotation angle of shims.
+    
+    tipSide/tip = (tipSide + side)/base, base = 1
+    tipSide = tip * (tipSide + side) = tip*tipSide + tip*side
+    tipSide - tip*tipSide = tipSide * (1-tip) = tip*side
+    tipSide = (tip*side) / (1-tip)
+*/
+var tipSide;
+
+/** Angle of shim tips (in radians). Chord is 2*sin(angle/2). */
+var shimAngle3; /* triangular. */
+var shimAngle4; /* trapezoidal. */
+
+/** Size of negative space in base units. */
+var negativeSpace;
+
+/** Space between repeated sub-units of a slot in base units. */
+var subUnitSpace;
+
+/**
+ * Validate a geometry profile.
+ *
+ *  @param profile  Geometry profile, see geometryProfiles.
+ *
+ *  @return error message, or undefined if valid.
+ */
+function validateGeometry(profile) {
+    if (!profile) return "Missing profile";
+    if (profile.unit != 'ratio' && !unitPt[profile.unit]) return "Unknown unit " + profile.unit;
+    if (!(profile.thickness > 0)) return "Thickness must be positive";
+    if (!(profile.length >= profile.thickness)) return "Length must be at least the thickness";
+    if (!(profile.tip >= 0 && profile.tip < profile.thickness)) return "Tip must be less than the thickness";
+    if (!(profile.negativeSpace >= 0)) return "Negative space must not be negative";
+}
+
+/**
+ * Set the active geometry profile and recompute all derived dimensions. The
+ * base unit is the shim thickness.
+ *
+ *  @param profile  Geometry profile, see geometryProfiles.
+ *
+ *  @return error message, or undefined if successful.
+ */
+function setGeometry(profile) {
+    var error = validateGeometry(profile);
+    if (error) return error;
+    
+    geometry = profile;
+    side = profile.length / profile.thickness;
+    tip = profile.tip / profile.thickness;
+    tipSide = (tip*side) / (1-tip);
+    shimAngle3 = 2*Math.asin(0.5/side);
+    shimAngle4 = 2*Math.asin(0.5/(side+tipSide));
+    negativeSpace = profile.negativeSpace / profile.thickness;
+    subUnitSpace = negativeSpace/2;
+}
+setGeometry(geometryProfiles["Default"]);
+
+/**
+ * Get the active geometry profile.
+ *
+ *  @return geometry profile, see geometryProfiles.
+ */
+function getGeometry() {
+    return geometry;
+}
+
+/**
+ * Get the real size of the base unit (i.e. the shim thickness) from the active
+ * geometry profile.
+ *
+ *  @param unit     Target unit ('mm', 'cm', 'in', 'pt').
+ *
+ *  @return base unit size in target unit, or undefined if the active profile
+ *          has no real dimensions.
+ */
+function baseUnitSize(unit) {
+    if (geometry.unit == 'ratio') return;
+    return geometry.thickness * unitPt[geometry.unit] / unitPt[unit];
+}
+
+/** Built-in render themes, applied to on-screen, SVG and PDF output:
+    
+    - fill              Shim fill: 'none', 'solid' (fillColor) or 'slots'
+                        (slotColors, alternating from slot to slot).
+    - fillColor         Solid fill color.
+    - slotColors        Alternating slot fill colors.
+    - grain             Whether to hatch shims with wood grain lines.
+    - stroke            Outline color.
+    - strokeWidth       Outline width in base units, 0 for no outline.
+    - bbox              Whether to draw the bounding box.
+    
+    Colors are given as "#rrggbb".
+*/
+var renderThemes = {
+    "Outline":              {fill: 'none',  fillColor: "#ffffff", slotColors: ["#ffffff", "#ffffff"], grain: false, stroke: "#000000", strokeWidth: 0.1,  bbox: true},
+    "Outline, no box":      {fill: 'none',  fillColor: "#ffffff", slotColors: ["#ffffff", "#ffffff"], grain: false, stroke: "#000000", strokeWidth: 0.1,  bbox: false},
+    "Solid":                {fill: 'solid', fillColor: "#333333", slotColors: ["#333333", "#333333"], grain: false, stroke: "#000000", strokeWidth: 0.05, bbox: false},
+    "Alternating slots":    {fill: 'slots', fillColor: "#ffffff", slotColors: ["#d9534f", "#428bca"], grain: false, stroke: "#000000", strokeWidth: 0.05, bbox: true},
+    "Wood grain":           {fill: 'solid', fillColor: "#e3c08d", slotColors: ["#e3c08d", "#e3c08d"], grain: true,  stroke: "#7a5230", strokeWidth: 0.05, bbox: false},
+};
+
+/** Active render theme. */
+var renderTheme;
+
+/** Spacing of wood grain lines in base units. */
+var GRAIN_SPACING = 0.25;
+
+/**
+ * Validate a render theme.
+ *
+ *  @param theme    Render theme, see renderThemes.
+ *
+ *  @return error message, or undefined if valid.
+ */
+function validateTheme(theme) {
+    var color = /^#[0-9a-fA-F]{6}$/;
+    if (!theme) return "Missing theme";
+    if (['none', 'solid', 'slots'].indexOf(theme.fill) == -1) return "Unknown fill " + theme.fill;
+    if (!color.test(theme.fillColor)) return "Invalid fill color";
+    if (!theme.slotColors || theme.slotColors.length != 2 || !color.test(theme.slotColors[0]) || !color.test(theme.slotColors[1])) return "Invalid slot colors";
+    if (!color.test(theme.stroke)) return "Invalid stroke color";
+    if (!(theme.strokeWidth >= 0)) return "Stroke width must not be negative";
+    if (theme.fill == 'none' && theme.strokeWidth == 0) return "Theme draws nothing, add a fill or an outline";
+}
+
+/**
+ * Set the active render theme.
+ *
+ *  @param theme    Render theme, see renderThemes.
+ *
+ *  @return error message, or undefined if successful.
+ */
+function setTheme(theme) {
+    var error = validateTheme(theme);
+    if (error) return error;
+    
+    renderTheme = theme;
+}
+setTheme(renderThemes["Outline"]);
+
+/**
+ * Get the fill color of a slot in the active render theme.
+ *
+ *  @param iSlot    Slot index.
+ *
+ *  @return color, or undefined if not filled.
+ */
+function themeFill(iSlot) {
+    switch (renderTheme.fill) {
+        case 'solid':   return renderTheme.fillColor;
+        case 'slots':   return renderTheme.slotColors[iSlot % 2];
+    }
+}
+
+/**
+ * Get the color of wood grain lines in the active render theme, halfway 
+ * between fill and outline colors.
+ *
+ *  @param iSlot    Slot index.
+ *
+ *  @return color.
+ */
+function themeGrainColor(iSlot) {
+    var fill = colorToRGB(themeFill(iSlot) || "#ffffff");
+    var stroke = colorToRGB(renderTheme.stroke);
+    return "#" + [0, 1, 2].map(function(i) {
+        return ("0" + Math.round((fill[i]+stroke[i])/2).toString(16)).substr(-2);
+    }).join("");
+}
+
+/**
+ * Convert "#rrggbb" color to RGB components.
+ *
+ *  @param color    Color string.
+ *
+ *  @return [r, g, b] in 0-255.
+ */
+function colorToRGB(color) {
+    return [1, 3, 5].map(function(i) {return parseInt(color.substr(i, 2), 16);});
+}
+
+/**
+ * Compute wood grain lines of a shim: vertical lines on a regular grid,
+ * clipped to the shim polygon.
+ *
+ *  @param shim     Shim polygon, must be convex.
+ *
+ *  @return array of lines {x, y, y2}.
+ */
+function grainLines(shim) {
+    var minX = Number.POSITIVE_INFINITY, maxX = Number.NEGATIVE_INFINITY;
+    for (var i = 0; i < shim.length; i++) {
+        minX = Math.min(minX, shim[i].x);
+        maxX = Math.max(maxX, shim[i].x);
+    }
+    var lines = Array();
+    for (var x = Math.floor(minX/GRAIN_SPACING+1)*GRAIN_SPACING; x < maxX; x += GRAIN_SPACING) {
+        var y = Number.POSITIVE_INFINITY, y2 = Number.NEGATIVE_INFINITY;
+        for (var i = 0; i < shim.length; i++) {
+            var p = shim[i], q = shim[(i+1) % shim.length];
+            if ((p.x-x)*(q.x-x) > 0 || p.x == q.x) continue;
+            var yi = p.y + (x-p.x) * (q.y-p.y) / (q.x-p.x);
+            y = Math.min(y, yi);
+            y2 = Math.max(y2, yi);
+        }
+        if (y2 > y) lines.push({x: x, y: y, y2: y2});
+    }
+    return lines;
+}
+
+/**
+ * Output the elements of a piece as SVG markup in the active render theme: 
+ * shim polygons (class "shim"), wood grain paths (class "grain") and bounding
+ * box (class "bbox"). Outline color & width are inherited from the parent 
+ * element, see pieceToSVG().
+ *
+ *  @param piece        The piece data.
+ *  @param bbox         Whether to draw the bounding box if the theme has one.
+ *
+ *  @return SVG string.
+ */
+function pieceSVGElements(piece, bbox) {
+    var svg = "";
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        var fill = themeFill(iSlot);
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            var shim = slot.shims[iShim];
+            var coords = Array();
+            for (var i = 0; i < shim.length; i++) {
+                coords.push(shim[i].x, shim[i].y);
+            }
+            svg += "<polygon points=\"" + coords.join(",") + "\" class=\"shim\"" + (fill ? " fill=\"" + fill + "\"" : "") + (renderTheme.strokeWidth ? "" : " stroke=\"none\"") + "/>";
+            if (renderTheme.grain) {
+                var path = grainLines(shim).map(function(line) {return "M" + line.x + "," + line.y + "V" + line.y2;});
+                if (path.length) {
+                    svg += "<path d=\"" + path.join("") + "\" class=\"grain\" stroke=\"" + themeGrainColor(iSlot) + "\" stroke-width=\"" + GRAIN_SPACING/4 + "\"/>";
+                }
+            }
+        }
+    }
+    if (bbox && renderTheme.bbox) {
+        svg += "<rect x=\"" + piece.bbox.x + "\" y=\"" + piece.bbox.y + "\" width=\"" + (piece.bbox.x2-piece.bbox.x) + "\" height=\"" + (piece.bbox.y2-piece.bbox.y) + "\" class=\"bbox\"" + (renderTheme.strokeWidth ? "" : " stroke-width=\"0.1\"") + "/>";
+    }
+    return svg;
+}
+
+/**
+ * Normalize a seed. Seeds are arbitrary strings; integer seeds are written in
+ * canonical decimal form so that e.g. "007" and "7" are the same seed.
+ *
+ *  @param seed     Seed string or number.
+ *
+ *  @return normalized seed string.
+ */
+function normalizeSeed(seed) {
+    seed = String(seed).trim();
+    if (/^\d+$/.test(seed)) seed = BigInt(seed).toString();
+    return seed;
+}
+
+/**
+ * Hash a seed into a 128-bit value. Two 64-bit FNV-1a hashes of the UTF-8
+ * seed bytes, each with its own salt, are concatenated.
+ *
+ *  @param seed     Normalized seed string.
+ *  @param salt     Salt string, allows deriving independent values.
+ *
+ *  @return hash value (BigInt).
+ */
+function hashSeed(seed, salt) {
+    // TextEncoder is only a global from Node.js 11.
+    var Encoder = (typeof(TextEncoder) !== 'undefined' ? TextEncoder : require('util').TextEncoder);
+    var fnv = function(str) {
+        var bytes = new Encoder().encode(str);
+        var h = 0xcbf29ce484222325n;
+        for (var i = 0; i < bytes.length; i++) {
+            h ^= BigInt(bytes[i]);
+            h = (h * 0x100000001b3n) & 0xffffffffffffffffn;
+        }
+        return h;
+    };
+    return (fnv(salt + "/hi/" + seed) << 64n) | fnv(salt + "/lo/" + seed);
+}
+
+/**
+ * Greatest common divisor.
+ *
+ *  @param a, b     BigInt values.
+ *
+ *  @return gcd of a and b (BigInt).
+ */
+function gcd(a, b) {
+    while (b != 0n) {
+        var t = a % b; a = b; b = t;
+    }
+    return a;
+}
+
+/**
+ * Generate multiplier and increment values for linear congruential generator.
+ *
+ *  The seed is hashed into both values, which are then adjusted to meet the
+ *  full period conditions given m=2(xz)^y (Hull-Dobell theorem):
+ *  1. c and m are relatively prime
+ *  2. a-1 is divisible by all prime factors of m
+ *  3. a-1 is a multiple of 4 if m is a multiple of 4
+ *
+ *  @param seed     Seed string or number.
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param z        Maximum number of repeating sub-units per slot (default 1).
+ *
+ *  @return LCG parameters {a, c} for lcg()
+ */
+function lcg_params(seed, x, y, z) {
+    seed = normalizeSeed(seed);
+    var m = permutationSize(x, y, z);
+    
+    // Product of prime factors of m, i.e. 2 and prime factors of n=xz.
+    var n = x*(z || 1);
+    var l = 2n;
+    for (var f = 2; f <= n; f++) {
+        if (n % f) continue;
+        while (n % f == 0) n /= f;
+        if (f > 2) l *= BigInt(f);
+    }
+    if (m % 4n == 0n) l *= 2n;
+    
+    // a = 1 + l.k guarantees #2 and #3. Avoid k=0 (a=1) when possible, as the
+    // sequence would then simply be incremental.
+    var k = m / l;
+    var a = 1n + l * ((k > 1n) ? 1n + hashSeed(seed, "a") % (k-1n) : 0n);
+    
+    // Increment c is adjusted to meet #1.
+    var c = hashSeed(seed, "c") % m;
+    while (gcd(c, m) != 1n) c = (c+1n) % m;
+    
+    return {a: a, c: c};
+}
+
+/**
+ * Size of the permutation set, i.e. 2(xz)^y.
+ *
+ *  @param x    Number of shims per shim unit.
+ *  @param y    Number of shim units/slots per piece.
+ *  @param z    Maximum number of repeating sub-units per slot (default 1).
+ *
+ *  @return number of permutations (BigInt).
+ */
+function permutationSize(x, y, z) {
+    return 2n * BigInt(x*(z || 1)) ** BigInt(y);
+}
+
+/**
+ * Linear congruential generator x_n+1 = (a.x_n + c) mod m.
+ *
+ * Used to generate a non-repeating sequence of m=2(xz)^y integers starting at 0.
+ * Computations use BigInt so that any X/Y/Z combination is supported. Full
+ * period is guaranteed by lcg_params().
+ *
+ *  @param v    Previous value (Number or BigInt).
+ *  @param g    LCG parameters {a, c} from lcg_params().
+ *  @param x    Number of shims per shim unit.
+ *  @param y    Number of shim units/slots per piece.
+ *  @param z    Maximum number of repeating sub-units per slot (default 1).
+ *
+ *  @return serial number (BigInt).
+ */
+function lcg(v, g, x, y, z) {
+    // Number of desired permutations.
+    var m = permutationSize(x, y, z);
+    
+    return (g.a*BigInt(v)+g.c) % m;
+}
+
+/**
+ * Modular multiplicative inverse using the extended Euclidean algorithm.
+ *
+ *  @param a    Value to invert (BigInt).
+ *  @param m    Modulus (BigInt).
+ *
+ *  @return inverse of a modulo m (BigInt), or undefined if a and m are not
+ *          coprime.
+ */
+function modInverse(a, m) {
+    var r0 = m, r1 = a % m;
+    var t0 = 0n, t1 = 1n;
+    while (r1 != 0n) {
+        var q = r0 / r1;
+        var r = r0 - q*r1; r0 = r1; r1 = r;
+        var t = t0 - q*t1; t0 = t1; t1 = t;
+    }
+    if (r0 != 1n) return;
+    return (t0 < 0n) ? t0 + m : t0;
+}
+
+/**
+ * Inverse of lcg(): find the previous value given the next one.
+ *
+ *  @param r    Next value (Number or BigInt).
+ *  @param g    LCG parameters {a, c} from lcg_params().
+ *  @param x    Number of shims per shim unit.
+ *  @param y    Number of shim units/slots per piece.
+ *  @param z    Maximum number of repeating sub-units per slot (default 1).
+ *
+ *  @return previous value v (BigInt) such that lcg(v, g, x, y, z) == r.
+ */
+function lcg_inverse(r, g, x, y, z) {
+    var m = permutationSize(x, y, z);
+    
+    // v = a^-1.(r-c) mod m
+    return (modInverse(g.a, m) * (((BigInt(r) - g.c) % m) + m)) % m;
+}
+
+/**
+ * Generate a shim permutation.
+ *
+ *  S/N grammar: a sign ('+' upward, '-' downward) followed by one group per
+ *  slot. Each group is a letter giving the number of shims per sub-unit
+ *  (A=1, B=2...) optionally followed by a digit giving the number of
+ *  repeating sub-units when greater than 1, e.g. "+AC2B".
+ *
+ *  @param index    Index of piece to generate (Number or BigInt).
+ *  @param g        LCG parameters {a, c} from lcg_params().
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param z        Maximum number of repeating sub-units per slot (default 1).
+ *  @param order    Ordering strategy name, see orderings (default 'lcg').
+ *
+ *  @return serial number.
+ */
+function generatePermutation(index, g, x, y, z, order) {
+    // Map index to permutation value in [0, 2(xz)^y) using the ordering
+    // strategy, then value to S/N.
+    if (!isOrdering(order || 'lcg')) throw new Error("Unknown order " + order);
+    var r = orderings[order || 'lcg'].value(BigInt(index), g, x, y, z || 1);
+    return valueToSN(r, x, y, z);
+}
+
+/**
+ * Inverse of generatePermutation(): find the index of a piece given its serial
+ * number.
+ *
+ *  @param sn       The piece serial number, internal or in artist notation.
+ *  @param g        LCG parameters {a, c} from lcg_params().
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param z        Maximum number of repeating sub-units per slot (default 1).
+ *  @param order    Ordering strategy name, see orderings (default 'lcg').
+ *
+ *  @return piece index (BigInt), or undefined if the S/N doesn't belong to
+ *          the X/Y/Z permutation set.
+ */
+function findPermutation(sn, g, x, y, z, order) {
+    var r = snToValue(sn, x, y, z);
+    if (typeof(r) === 'undefined') return;
+    if (!isOrdering(order || 'lcg')) throw new Error("Unknown order " + order);
+    return orderings[order || 'lcg'].index(r, g, x, y, z || 1);
+}
+
+/**
+ * Convert a permutation value to a serial number.
+ *
+ *  Values in [0, (xz)^y) are downward, values in [(xz)^y, 2(xz)^y) upward.
+ *  Slot digits in base xz follow, least significant first. Each slot digit
+ *  encodes both the number of shims and the number of repeating sub-units.
+ *
+ *  @param r        Permutation value (BigInt).
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param z        Maximum number of repeating sub-units per slot (default 1).
+ *
+ *  @return serial number.
+ */
+function valueToSN(r, x, y, z) {
+    z = z || 1;
+    var n = BigInt(x*z);
+    var max = n ** BigInt(y);
+
+    // Sign.
+    var sign;
+    if (r < max) {
+        // Negative / downward.
+        sign = "-";
+    } else {
+        // Positive / upward.
+        sign = "+";
+        r -= max;
+    }
+    
+    // Digits.
+    var digits = "";
+    for (var i = 0; i < y; i++) {
+        var d = Number(r % n);
+        digits += String.fromCharCode(65 + (d % x));
+        var repeat = Math.floor(d/x) + 1;
+        if (repeat > 1) digits += repeat;
+        r /= n;
+    }
+    
+    return sign + digits;
+}
+
+/**
+ * Inverse of valueToSN().
+ *
+ *  @param sn       The piece serial number, internal or in artist notation.
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param z        Maximum number of repeating sub-units per slot (default 1).
+ *
+ *  @return permutation value (BigInt), or undefined if the S/N doesn't belong
+ *          to the X/Y/Z permutation set.
+ */
+function snToValue(sn, x, y, z) {
+    z = z || 1;
+    var parsed = parseSN(sn);
+    if (!parsed || parsed.slots.length != y) return;
+    
+    // Decode digits, least significant first.
+    var n = BigInt(x*z);
+    var r = 0n;
+    for (var i = y-1; i >= 0; i--) {
+        var slot = parsed.slots[i];
+        if (slot.shims > x || slot.repeat > z) return;
+        r = r*n + BigInt((slot.repeat-1)*x + (slot.shims-1));
+    }
+    
+    // Sign.
+    if (parsed.upward > 0) r += n ** BigInt(y);
+    
+    return r;
+}
+
+/** Maximum permutation size for sorted orderings, as these need to compute
+    all pieces upfront. */
+var MAX_SORTED = 200000;
+
+/**
+ * Ordering strategies. Each strategy maps a piece index to a permutation value
+ * in [0, 2(xz)^y) and back, so that all pieces are visited exactly once:
+ *
+ *  - label     Display name.
+ *  - note      Optional caveat shown to the user.
+ *  - value     Function(index, g, x, y, z) returning the permutation value.
+ *  - index     Function(value, g, x, y, z) returning the piece index.
+ *  - prepare   Optional function(x, y, z, pieceOptions) called before use,
+ *              returns false if the ordering can't be used with these handles.
+ */
+var orderings = {
+    /** Seeded pseudorandom shuffle. */
+    lcg: {
+        label: "Shuffled",
+        value: lcg,
+        index: lcg_inverse
+    },
+    
+    /** S/N order, slot by slot: sign (downward first), then for each slot 
+        its number of shims then sub-units. */
+    lexicographic: {
+        label: "Lexicographic",
+        value: function(index, g, x, y, z) {
+            return mixedRadixToValue(toMixedRadix(index, lexicographicRadices(x, y, z)), lexicographicLayout(x, y, z), x, y, z);
+        },
+        index: function(value, g, x, y, z) {
+            return fromMixedRadix(valueToMixedRadix(value, lexicographicLayout(x, y, z), x, y, z), lexicographicRadices(x, y, z));
+        }
+    },
+    
+    /** Reflected mixed-radix Gray code: consecutive pieces differ in exactly
+        one digit by one, i.e. one slot by one shim per sub-unit most of the
+        time, else one slot by one sub-unit (changing its shims by a multiple),
+        or the leading orientation (reorienting every slot). */
+    gray: {
+        label: "Gray code",
+        note: "Most steps change one slot by one shim per sub-unit; some change its number of sub-units or flip all slots.",
+        value: function(index, g, x, y, z) {
+            var radices = grayRadices(x, y, z);
+            return mixedRadixToValue(grayDigits(index, radices), grayLayout(x, y, z), x, y, z);
+        },
+        index: function(value, g, x, y, z) {
+            var radices = grayRadices(x, y, z);
+            return grayIndex(valueToMixedRadix(value, grayLayout(x, y, z), x, y, z), radices);
+        }
+    },
+    
+    /** Sorted by increasing bounding box width. */
+    width: sortedOrdering("Width", function(piece) {
+        return piece.bbox.x2 - piece.bbox.x;
+    }),
+    
+    /** Sorted by increasing total number of shims. */
+    shims: sortedOrdering("Total shims", function(piece) {
+        var total = 0;
+        for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+            total += piece.slots[iSlot].shims.length;
+        }
+        return total;
+    })
+};
+
+/**
+ * Test whether a name is an ordering strategy. User input such as "toString"
+ * must not match inherited object properties.
+ *
+ *  @param name     Ordering strategy name.
+ *
+ *  @return true if name is an ordering strategy, see orderings.
+ */
+function isOrdering(name) {
+    return (typeof(name) === 'string' && Object.prototype.hasOwnProperty.call(orderings, name));
+}
+
+/*
+ * Mixed-radix helpers for lexicographic and Gray code orderings. Digits are
+ * stored least significant first. A layout gives for each digit its meaning:
+ * {slot, field} with field 'shims', 'repeat' or 'sign'.
+ */
+
+/** Digit layout for lexicographic order: sign most significant, then slots in
+    order, shims before sub-units. */
+function lexicographicLayout(x, y, z) {
+    var layout = Array();
+    for (var i = y-1; i >= 0; i--) {
+        layout.push({slot: i, field: 'repeat'}, {slot: i, field: 'shims'});
+    }
+    layout.push({field: 'sign'});
+    return layout;
+}
+function lexicographicRadices(x, y, z) {
+    return lexicographicLayout(x, y, z).map(function(d) {return layoutRadix(d, x, z);});
+}
+
+/** Digit layout for Gray code: all shim digits are least significant so that
+    most steps change the number of shims, then sub-units, then sign. */
+function grayLayout(x, y, z) {
+    var layout = Array();
+    for (var i = 0; i < y; i++) layout.push({slot: i, field: 'shims'});
+    for (var i = 0; i < y; i++) layout.push({slot: i, field: 'repeat'});
+    layout.push({field: 'sign'});
+    return layout;
+}
+function grayRadices(x, y, z) {
+    return grayLayout(x, y, z).map(function(d) {return layoutRadix(d, x, z);});
+}
+
+/** Radix of a layout digit. */
+function layoutRadix(digit, x, z) {
+    switch (digit.field) {
+        case 'shims':   return x;
+        case 'repeat':  return z;
+        case 'sign':    return 2;
+    }
+}
+
+/** Split index (BigInt) into mixed-radix digits. */
+function toMixedRadix(index, radices) {
+    var digits = Array();
+    for (var i = 0; i < radices.length; i++) {
+        var radix = BigInt(radices[i]);
+        digits.push(Number(index % radix));
+        index /= radix;
+    }
+    return digits;
+}
+
+/** Join mixed-radix digits into index (BigInt). */
+function fromMixedRadix(digits, radices) {
+    var index = 0n;
+    for (var i = radices.length-1; i >= 0; i--) {
+        index = index*BigInt(radices[i]) + BigInt(digits[i]);
+    }
+    return index;
+}
+
+/** Convert digits in the given layout to permutation value, see valueToSN(). */
+function mixedRadixToValue(digits, layout, x, y, z) {
+    var slots = Array(y), sign = 0;
+    for (var i = 0; i < y; i++) slots[i] = {shims: 0, repeat: 0};
+    for (var i = 0; i < layout.length; i++) {
+        if (layout[i].field == 'sign') {
+            sign = digits[i];
+        } else {
+            slots[layout[i].slot][layout[i].field] = digits[i];
+        }
+    }
+    var n = BigInt(x*z);
+    var r = 0n;
+    for (var i = y-1; i >= 0; i--) {
+        r = r*n + BigInt(slots[i].repeat*x + slots[i].shims);
+    }
+    return r + BigInt(sign) * n ** BigInt(y);
+}
+
+/** Inverse of mixedRadixToValue(). */
+function valueToMixedRadix(r, layout, x, y, z) {
+    var n = BigInt(x*z);
+    var max = n ** BigInt(y);
+    var sign = (r < max) ? 0 : 1;
+    if (sign) r -= max;
+    var slots = Array();
+    for (var i = 0; i < y; i++) {
+        var d = Number(r % n);
+        slots.push({shims: d % x, repeat: Math.floor(d/x)});
+        r /= n;
+    }
+    return layout.map(function(digit) {
+        return (digit.field == 'sign') ? sign : slots[digit.slot][digit.field];
+    });
+}
+
+/**
+ * Reflected mixed-radix Gray code. Digit j runs back and forth: it is 
+ * reflected during odd sweeps, a sweep lasting m_0*...*m_j steps.
+ *
+ *  @param index    Index (BigInt).
+ *  @param radices  Digit radices, least significant first.
+ *
+ *  @return Gray digits.
+ */
+function grayDigits(index, radices) {
+    var digits = Array();
+    var period = 1n;
+    for (var j = 0; j < radices.length; j++) {
+        var radix = BigInt(radices[j]);
+        var a = Number((index / period) % radix);
+        period *= radix;
+        digits.push(((index / period) % 2n) ? radices[j]-1-a : a);
+    }
+    return digits;
+}
+
+/** Inverse of grayDigits(). */
+function grayIndex(digits, radices) {
+    // Most significant digit is never reflected, then each digit is reflected
+    // if the value of higher digits is odd.
+    var index = 0n;
+    for (var j = radices.length-1; j >= 0; j--) {
+        var a = (index % 2n) ? radices[j]-1-digits[j] : digits[j];
+        index = index*BigInt(radices[j]) + BigInt(a);
+    }
+    return index;
+}
+
+/**
+ * Create an ordering strategy sorted by a piece metric, ties broken by
+ * permutation value. Pieces are computed upfront by prepare() and the order
+ * is cached for given handles, piece options & geometry.
+ *
+ *  @param label    Display name.
+ *  @param metric   Function(piece) returning the sort key.
+ *
+ *  @return ordering strategy.
+ */
+function sortedOrdering(label, metric) {
+    var ordering = {
+        label: label,
+        sorted: true,
+        key: undefined,
+        table: undefined,   /* index => value */
+        inverse: undefined, /* value => index */
+        prepare: function(x, y, z, pieceOptions) {
+            var size = permutationSize(x, y, z);
+            if (size > BigInt(MAX_SORTED)) return false;
+            
+            var key = [x, y, z, !!pieceOptions.cropped, !!pieceOptions.trapezoidal, side, tip, negativeSpace].join("-");
+            if (ordering.key == key) return true;
+            
+            var m = Number(size);
+            var keys = new Float64Array(m);
+            var table = new Uint32Array(m);
+            for (var r = 0; r < m; r++) {
+                keys[r] = metric(computePiece(valueToSN(BigInt(r), x, y, z), pieceOptions));
+                table[r] = r;
+            }
+            table.sort(function(a, b) {return (keys[a] - keys[b]) || (a - b);});
+            var inverse = new Uint32Array(m);
+            for (var i = 0; i < m; i++) {
+                inverse[table[i]] = i;
+            }
+            ordering.key = key;
+            ordering.table = table;
+            ordering.inverse = inverse;
+            return true;
+        },
+        value: function(index) {
+            return BigInt(ordering.table[Number(index)]);
+        },
+        index: function(value) {
+            return BigInt(ordering.inverse[Number(value)]);
+        }
+    };
+    return ordering;
+}
+
+/**
+ * Parse a serial number into its components.
+ *
+ *  @param sn   The piece serial number, either internal or in artist notation.
+ *
+ *  @return {upward, slots: [{shims, repeat}]}, or undefined if invalid.
+ */
+function parseSN(sn) {
+    sn = normalizeSN(sn);
+    if (!sn) return;
+    
+    var slots = Array();
+    for (var i = 1; i < sn.length; i++) {
+        var shims = sn.charCodeAt(i)-64; /* A=65 */
+        if (shims < 1 || shims > 26) return;
+        var repeat = 1;
+        if (i+1 < sn.length && sn[i+1] >= '2' && sn[i+1] <= '9') {
+            repeat = sn.charCodeAt(++i)-48; /* 0=48 */
+        }
+        slots.push({shims: shims, repeat: repeat});
+    }
+    return {upward: (sn[0]=='+') ? 1 : -1, slots: slots};
+}
+
+/**
+ * Convert an internal serial number to the artist notation used in the
+ * original rules: one space-separated group per slot, each made of the slot's
+ * letter repeated for each sub-unit, the first group prefixed by '-' when 
+ * facing down, e.g. "+AC2B" => "a cc b", "-AC2B" => "-a cc b".
+ *
+ *  @param sn   The piece serial number.
+ *
+ *  @return artist notation, or undefined if invalid.
+ */
+function snToNotation(sn) {
+    var parsed = parseSN(sn);
+    if (!parsed) return;
+    
+    var groups = Array();
+    for (var i = 0; i < parsed.slots.length; i++) {
+        var letter = String.fromCharCode(96 + parsed.slots[i].shims); /* a=97 */
+        groups.push(Array(parsed.slots[i].repeat+1).join(letter));
+    }
+    return (parsed.upward > 0 ? "" : "-") + groups.join(" ");
+}
+
+/**
+ * Convert artist notation to an internal serial number. Letter case is
+ * ignored. As orientation alternates between slots, signs on groups other
+ * than the first are redundant and ignored.
+ *
+ *  @param notation     Artist notation, e.g. "-a cc b".
+ *
+ *  @return serial number, or undefined if invalid.
+ */
+function notationToSN(notation) {
+    var groups = notation.trim().toUpperCase().split(/\s+/);
+    if (groups[0] == "") return;
+    
+    var sn = (groups[0][0] == '-') ? "-" : "+";
+    for (var i = 0; i < groups.length; i++) {
+        var group = groups[i].replace(/^[+-]/, "");
+        if (!/^([A-Z])\1{0,8}$/.test(group)) return;
+        sn += group[0] + (group.length > 1 ? group.length : "");
+    }
+    return sn;
+}
+
+/**
+ * Validate and normalize a typed serial number. Accepts both the internal form
+ * ("+AC2B") and the artist notation ("a cc b").
+ *
+ *  @param text     Serial number text.
+ *
+ *  @return internal serial number, or undefined if invalid.
+ */
+function normalizeSN(text) {
+    if (typeof(text) !== 'string') return;
+    text = text.trim();
+    if (!/^[+-]([A-Z][2-9]?)+$/.test(text)) {
+        // Not an internal S/N, try artist notation.
+        text = notationToSN(text);
+        if (!text) return;
+    }
+    return text;
+}
+
+/**
+ * Serial number of the vertically mirrored piece, i.e. flipped top to bottom:
+ * all slot orientations are reversed.
+ *
+ *  @param sn   The piece serial number.
+ *
+ *  @return serial number.
+ */
+function flipSN(sn) {
+    return (sn[0] == '+' ? '-' : '+') + sn.substr(1);
+}
+
+/**
+ * Fans of a piece: each slot spreads its shims between two rotation steps, 
+ * starting where the previous slot ended, see computePiece(). Together with
+ * slot orientations and sub-units, these steps define the piece shape.
+ *
+ *  @param sn   The piece serial number.
+ *
+ *  @return array of slot fans {upward, min, max, repeat}.
+ */
+function slotFans(sn) {
+    var parsed = parseSN(sn);
+    var upward = parsed.upward, step = 0;
+    var fans = Array();
+    for (var iSlot = 0; iSlot < parsed.slots.length; iSlot++) {
+        var slot = parsed.slots[iSlot];
+        var end = step - upward*slot.shims;
+        fans.push({upward: upward, min: Math.min(step, end), max: Math.max(step, end), repeat: slot.repeat});
+        step = end;
+        upward = -upward;
+    }
+    return fans;
+}
+
+/**
+ * Symmetry class of a piece: S/Ns of the same piece flipped top to bottom, 
+ * mirrored left to right or turned upside down. Flipping negates the leading
+ * sign and always gives the same piece. Mirroring and turning reverse the slot
+ * order, but as slot fans tilt cumulatively, the reversed S/N only gives the
+ * same piece when its fans match, so classes have 2 or 4 S/Ns. The first S/N
+ * of the class is its canonical representative.
+ *
+ *  @param sn   The piece serial number.
+ *
+ *  @return array of distinct serial numbers in ascending order.
+ */
+function symmetryClass(sn) {
+    var members = [sn, flipSN(sn)];
+    
+    // Mirroring negates fan steps and keeps orientations, turning keeps steps
+    // and reverses orientations, both in reverse slot order.
+    var fanKey = function(fans) {
+        return fans.map(function(fan) {return [fan.upward, fan.min, fan.max, fan.repeat].join();}).join(";");
+    };
+    var fans = slotFans(sn).reverse();
+    var mirrored = fanKey(fans.map(function(fan) {return {upward: fan.upward, min: -fan.max, max: -fan.min, repeat: fan.repeat};}));
+    var turned = fanKey(fans.map(function(fan) {return {upward: -fan.upward, min: fan.min, max: fan.max, repeat: fan.repeat};}));
+    var reversed = sn.substr(1).match(/[A-Z][2-9]?/g).reverse().join("");
+    ['+' + reversed, '-' + reversed].forEach(function(candidate) {
+        var key = fanKey(slotFans(candidate));
+        if (key == mirrored || key == turned) members.push(candidate);
+    });
+    
+    members.sort();
+    return members.filter(function(member, i) {return (i == 0 || member != members[i-1]);});
+}
+
+/**
+ * Format a piece label according to the chosen label format.
+ *
+ *  @param sn       The piece serial number.
+ *  @param format   Label format ('sn', 'notation', 'both').
+ *
+ *  @return label string.
+ */
+function pieceLabel(sn, format) {
+    switch (format) {
+        case 'notation':
+            return snToNotation(sn);
+            
+        case 'both':
+            return sn + " (" + snToNotation(sn) + ")";
+            
+        default:
+            return sn;
+    }
+}
+
+/**
+ * Composition label used in PDF headers and file names.
+ *
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param z        Maximum number of repeating sub-units per slot.
+ *  @param seed     Permutation seed.
+ *
+ *  @return label string "x-y-z-seed".
+ */
+function composition(x, y, z, seed) {
+    return x+"-"+y+"-"+z+"-"+seed;
+}
+
+/**
+ * Make a string safe for use in file names: characters other than letters,
+ * digits, '+', '-', '_' and '.' are replaced by underscores.
+ *
+ *  @param str  Input string.
+ *
+ *  @return file-safe string.
+ */
+function fileSafe(str) {
+    return str.replace(/[^A-Za-z0-9+\-_.]+/g, "_");
+}
+
+/**
+ * Build a piece file name (without extension) according to the chosen format.
+ * Spaces from the artist notation are replaced by underscores.
+ *
+ *  @param sn       The piece serial number.
+ *  @param format   File name format ('sn', 'notation').
+ *
+ *  @return file name.
+ */
+function pieceFileName(sn, format) {
+    return pieceLabel(sn, format).replace(/ /g, "_");
+}
+
+/**
+ * Test function validating the LCG-based permutation generator.
+ *
+ *  Avoid calling with too large values!!!
+ *
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param seed     Seed used to generate LCG parameters.
+ *  @param z        Maximum number of repeating sub-units per slot (default 1).
+ */
+function testUnicity(x, y, seed, z) {
+    var g = lcg_params(seed, x, y, z);
+    var max = permutationSize(x, y, z);
+    var values = Array();
+    var dup = Array();
+    for (var i = 0n; i < max; i++) {
+        var key = lcg(i, g, x, y, z);
+        if (typeof(values[key]) === 'undefined') {
+            values[key] = [i];
+        } else {
+            values[key].push(i);
+            dup[key] = values[key];
+        }
+    }
+    return {dup: dup, total: Object.keys(values).length};
+}
+
+/**
+ * Rotate point *p* around center *c* by given *angle*.
+ *
+ *  @param c        Center of rotation.
+ *  @param p        Point to rotate.
+ *  @param angle    Rotation angle in radians.
+ *
+ *  @return Rotated point.
+ */
+function rotate(c, p, angle) {
+    return {
+        x: Math.cos(angle) * (p.x-c.x) - Math.sin(angle) * (p.y-c.y) + c.x,
+        y: Math.sin(angle) * (p.x-c.x) + Math.cos(angle) * (p.y-c.y) + c.y
+    };
+}
+
+/**
+ * Project line passing trought *c* and *p* on horizontal line at *y*.
+ *
+ *  @param c, p     Points on line to project.
+ *  @param y        Y-coordinate of line to project onto.
+ *
+ *  @return Projected point.
+ */
+function project(c, p, y) {
+    return {
+        x: c.x + (p.x-c.x) / (p.y-c.y) * (y-c.y),
+        y: y
+    };
+}
+
+/**
+ * Compute a piece from its serial number.
+ *
+ *  @param sn           The piece serial number.
+ *  @param options      Piece options: cropped, trapezoidal.
+ *
+ *  @return The piece object {sn, slots, bbox, metrics}. Each slot has its 
+ *          shims, orientation (upward), horizontal extent (x, x2) and negative
+ *          space from the previous slot (gap {x, x2, y}). See pieceMetrics
+ *          for metrics.
+ */
+function computePiece(sn, options) {
+    var parsed = parseSN(sn);
+    if (!parsed) return;
+    sn = normalizeSN(sn);
+
+    //
+    // 1. Iterate over slots and build shim coordinates.
+    //
+    
+    var slots = Array(); // Array of slots.
+    var nbSlots = parsed.slots.length;
+    var angle = options.trapezoidal ? shimAngle4 : shimAngle3;
+    var angleStep = 0; // Rotation steps, each of *angle* radians.
+    var upward = parsed.upward; // Whether first shim is pointing upward.
+    for (var iSlot = 0; iSlot < nbSlots; iSlot++) {
+        // Left tip corner of first shim.
+        var p0_tip = {x: 0, y: 0};
+            
+        // Left base corner of first shim when angle = 0 (vertical).
+        var p1_base = {x: 0, y: side*upward};
+        
+        // Rotation center.
+        var center;
+        if (options.trapezoidal) {
+            center = {x: 0, y: -tipSide*upward};
+        } else {
+            center = p0_tip;
+        }
+
+        // Repeated sub-units are identical and share the same rotation steps.
+        // Their shims are stored consecutively, they get laid out side by side
+        // in step 5.
+        var nbShims = parsed.slots[iSlot].shims;
+        var repeat = parsed.slots[iSlot].repeat;
+        var shims = Array();
+        slots[iSlot] = {shims: shims, angleStep: angleStep, upward: upward, nbShims: nbShims, repeat: repeat};
+        
+        // Iterate over sub-units & shims.
+        var subAngleStep = angleStep;
+        for (var iUnit = 0; iUnit < repeat; iUnit++) {
+            subAngleStep = angleStep;
+            for (var iShim = 0; iShim < nbShims; iShim++) {
+                var p0 = rotate(center, p0_tip, subAngleStep * angle);
+                var p1 = rotate(center, p1_base, subAngleStep * angle);
+                subAngleStep -= upward;
+                var p2 = rotate(center, p1_base, subAngleStep * angle);
+                if (options.trapezoidal) {
+                    var p3 = rotate(center, p0_tip, subAngleStep * angle);
+                    shims.push([p0, p1, p2, p3]);
+                } else {
+                    shims.push([p0, p1, p2]);
+                }
+            }
+        }
+        angleStep = subAngleStep;
+        
+        // Flip orientation of next slot.
+        upward = -upward;
+    }
+    
+    //
+    // 2. Compute piece height & shift piece vertically.
+    //
+    
+    var height;
+    if (options.cropped) {
+        // Height = min inner height of all pieces.
+        height = Number.POSITIVE_INFINITY;
+        for (var iSlot = 0; iSlot < slots.length; iSlot++) {
+            var slot = slots[iSlot];
+            var maxTip = Number.NEGATIVE_INFINITY, minBase = Number.POSITIVE_INFINITY;
+            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+                var shim = slot.shims[iShim];
+                maxTip = Math.max(maxTip, shim[0].y * slot.upward);
+                if (options.trapezoidal) maxTip = Math.max(maxTip, shim[3].y * slot.upward);
+                minBase = Math.min(minBase, shim[1].y * slot.upward, shim[2].y * slot.upward);
+            }
+            height = Math.min(height, Math.abs(maxTip-minBase));
+
+            // Shift piece to align innermost tip with zero.
+            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+                var shim = slot.shims[iShim];
+                for (var i = 0; i < shim.length; i++) {
+                    shim[i].y -= maxTip * slot.upward;
+                }
+            }
+        }
+    } else {
+        // Height = max outer height of all pieces.
+        height = 0;
+        for (var iSlot = 0; iSlot < slots.length; iSlot++) {
+            var slot = slots[iSlot];
+            var minY = Number.POSITIVE_INFINITY, maxY = Number.NEGATIVE_INFINITY;
+            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+                var shim = slot.shims[iShim];
+                for (var i = 0; i < shim.length; i++) {
+                    minY = Math.min(minY, shim[i].y);
+                    maxY = Math.max(maxY, shim[i].y);
+                }
+            }
+            height = Math.max(height, maxY-minY);
+            
+            // Shift piece to align outermost tip with zero.
+            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+                var shim = slot.shims[iShim];
+                for (var i = 0; i < shim.length; i++) {
+                    shim[i].y -= (slot.upward > 0 ? minY : maxY);
+                }
+            }
+        }
+    }
+
+    //
+    // 3. Align shim tips on bottom side.
+    //
+
+    for (var iSlot = 0; iSlot < slots.length; iSlot++) {
+        var slot = slots[iSlot];
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            var shim = slot.shims[iShim];
+            if (slot.upward > 0) continue;
+            for (i = 0; i < shim.length; i++) {
+                shim[i].y += height;
+            }
+        }
+    }
+        
+    //
+    // 4. Crop shims.
+    //
+    
+    if (options.cropped) {
+        // Crop slots by piece height.
+        for (var iSlot = 0; iSlot < slots.length; iSlot++) {
+            var slot = slots[iSlot];
+            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+                var shim = slot.shims[iShim];
+                var y1 = (slot.upward > 0 ? 0 : height);
+                var y2 = (slot.upward > 0 ? height : 0);
+                var p0 = project(shim[0], shim[1], y1);
+                var p1 = project(shim[0], shim[1], y2);
+                if (options.trapezoidal) {
+                    var p2 = project(shim[3], shim[2], y2);
+                    var p3 = project(shim[3], shim[2], y1);
+                    slot.shims[iShim] = [p0, p1, p2, p3];
+                } else {
+                    var p2 = project(shim[0], shim[2], y2);
+                    slot.shims[iShim] = [p0, p1, p2];
+                }
+            }
+        }
+    }
+    
+    //
+    // 5. Build negative spaces according to alignment rules.
+    //
+    //  - Project previous slot's right side on next slot's tip side
+    //  - Project curent slot's left side on tip side
+    //  - Shift by distance + negative space.
+    //
+    // Repeated sub-units within a slot follow the same rules, using the
+    // sub-unit space instead.
+    //
+
+    var prevShim;
+    for (var iSlot = 0; iSlot < slots.length; iSlot++) {
+        var slot = slots[iSlot];
+        var y = slot.upward > 0 ? 0 : height;
+        for (var iUnit = 0; iUnit < slot.repeat; iUnit++) {
+            var first = iUnit*slot.nbShims;
+            if (prevShim) {
+                var prevP = project(
+                    options.trapezoidal ? prevShim[3] : prevShim[0],
+                    prevShim[2],
+                    y
+                );
+                var p = project(slot.shims[first][0], slot.shims[first][1], y);
+                var shift = prevP.x - p.x + (iUnit > 0 ? subUnitSpace : negativeSpace);
+                for (var iShim = first; iShim < first+slot.nbShims; iShim++) {
+                    var shim = slot.shims[iShim];
+                    for (i = 0; i < shim.length; i++) {
+                        shim[i].x += shift;
+                    }
+                }
+                if (iUnit == 0) {
+                    // Negative space between slots, on tip side.
+                    slot.gap = {x: prevP.x, x2: p.x + shift, y: y};
+                }
+            }
+            prevShim = slot.shims[first+slot.nbShims-1];
+        }
+    }
+    
+    //
+    // 6. Compute bounding box & horizontal extent of slots.
+    //
+    
+    var x=0, y=0, x2=0, y2=0;
+    for (var iSlot = 0; iSlot < slots.length; iSlot++) {
+        var slot = slots[iSlot];
+        slot.x = Number.POSITIVE_INFINITY;
+        slot.x2 = Number.NEGATIVE_INFINITY;
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            var shim = slot.shims[iShim];
+            for (i = 0; i < shim.length; i++) {
+                x = Math.min(x, shim[i].x);
+                y = Math.min(y, shim[i].y);
+                x2 = Math.max(x2, shim[i].x);
+                y2 = Math.max(y2, shim[i].y);
+                slot.x = Math.min(slot.x, shim[i].x);
+                slot.x2 = Math.max(slot.x2, shim[i].x);
+            }
+        }
+    }
+    
+    //
+    // 7. Compute metrics, in geometry units.
+    //
+    
+    var metrics = {
+        shims: 0,
+        width: (x2-x) * geometry.thickness,
+        height: (y2-y) * geometry.thickness,
+        area: 0,
+        negativeRatio: 0,
+        shimChanges: 0
+    };
+    for (var iSlot = 0; iSlot < slots.length; iSlot++) {
+        var slot = slots[iSlot];
+        metrics.shims += slot.shims.length;
+        if (iSlot > 0 && slot.shims.length != slots[iSlot-1].shims.length) metrics.shimChanges++;
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            // Shoelace formula.
+            var shim = slot.shims[iShim];
+            var area = 0;
+            for (i = 0; i < shim.length; i++) {
+                var next = shim[(i+1) % shim.length];
+                area += shim[i].x*next.y - next.x*shim[i].y;
+            }
+            metrics.area += Math.abs(area)/2;
+        }
+    }
+    metrics.area *= geometry.thickness * geometry.thickness;
+    if (metrics.width*metrics.height > 0) {
+        metrics.negativeRatio = 1 - metrics.area/(metrics.width*metrics.height);
+    }
+    
+    return {sn: sn, slots: slots, bbox: {x: x, y: y, x2: x2, y2: y2}, metrics: metrics};
+}
+
+/**
+ * Piece metrics computed by computePiece(), in the units of the active 
+ * geometry profile:
+ *
+ *  - label         Display name.
+ *  - dimension     0 for counts & ratios, 1 for lengths, 2 for areas.
+ */
+var pieceMetrics = {
+    shims:              {label: "Total shims", dimension: 0},
+    width:              {label: "Width", dimension: 1},
+    height:             {label: "Height", dimension: 1},
+    area:               {label: "Wood area", dimension: 2},
+    negativeRatio:      {label: "Negative space ratio", dimension: 0},
+    shimChanges:        {label: "Shim count changes", dimension: 0}
+};
+
+/**
+ * Format a piece metric value for display.
+ *
+ *  @param name     Metric name, see pieceMetrics.
+ *  @param value    Metric value.
+ *
+ *  @return formatted string, with unit.
+ */
+function formatMetric(name, value) {
+    if (name == 'negativeRatio') return (value*100).toFixed(1) + "%";
+    var dimension = pieceMetrics[name].dimension;
+    if (!dimension) return String(Math.round(value*1000)/1000);
+    var unit = (geometry.unit == 'ratio' ? "" : " " + geometry.unit + (dimension == 2 ? "\u00b2" : ""));
+    return parseFloat(value.toPrecision(5)) + unit;
+}
+
+/**
+ * Maximum theoretical piece width/height.
+ *
+ *  @param x        Number of shims per shim unit.
+ *  @param y        Number of shim units/slots per piece.
+ *  @param z        Maximum number of repeating sub-units per slot (default 1).
+ *
+ *  @return {width, height} in base units.
+ */
+function maxPieceSize(x, y, z) {
+    z = z || 1;
+    return {
+        width: Math.ceil(y/2)*(x*z + (subUnitSpace+tip)*(z-1)) + (negativeSpace+tip)*(y-1),
+        height: side+tip
+    };
+}
+
+/**
+ * Output a piece as standalone SVG document in the active render theme. The
+ * view box fits the piece bounding box.
+ *
+ *  @param piece        The piece data.
+ *  @param unit         Unit for real size output ('mm', 'cm', 'in', 'pt'),
+ *                      see baseUnitSize() (optional, default no size).
+ *
+ *  @return SVG string.
+ */
+function pieceToSVG(piece, unit) {
+    var bbox = piece.bbox;
+    var svg = "<svg xmlns=\"http://www.w3.org/2000/svg\" version=\"1.1\"";
+    var size = unit && baseUnitSize(unit);
+    if (size) {
+        svg += " width=\"" + (bbox.x2-bbox.x)*size + unit + "\" height=\"" + (bbox.y2-bbox.y)*size + unit + "\"";
+    }
+    svg += " viewBox=\"" + bbox.x + " " + bbox.y + " " + (bbox.x2-bbox.x) + " " + (bbox.y2-bbox.y) + "\""
+        + " fill=\"none\" stroke=\"" + renderTheme.stroke + "\" stroke-width=\"" + renderTheme.strokeWidth + "\">";
+    svg += pieceSVGElements(piece, true);
+    svg += "</svg>";
+    return svg;
+}
+
+/** DXF $INSUNITS codes, other units are not supported in DXF. */
+var dxfUnits = {in: 1, mm: 4, cm: 5};
+
+/**
+ * Output a piece as DXF R12 document, for laser cutters and CNC. Each shim is
+ * a closed POLYLINE (flag 70 = 1) on its slot layer (SLOT1, SLOT2...), the 
+ * bounding box is on the BBOX layer. The Y axis points upward in DXF, so the
+ * piece is flipped.
+ *
+ * R12 is read by virtually every CAM program but has no unit header, units 
+ * are implied: coordinates are written in the given unit, which must be 
+ * chosen on import. $INSUNITS and $MEASUREMENT are only hints for readers of
+ * later versions.
+ *
+ *  @param piece        The piece data.
+ *  @param unit         Unit for real size output, see dxfUnits and
+ *                      baseUnitSize() (optional, default base units).
+ *
+ *  @return DXF string.
+ */
+function pieceToDXF(piece, unit) {
+    var size = unit && dxfUnits[unit] && baseUnitSize(unit);
+    var scale = size || 1;
+    var bbox = piece.bbox;
+    var lines = Array();
+    var add = function() {
+        for (var i = 0; i < arguments.length; i += 2) {
+            lines.push(arguments[i], arguments[i+1]);
+        }
+    };
+    var polyline = function(layer, points) {
+        add(0, "POLYLINE", 8, layer, 66, 1, 10, 0, 20, 0, 30, 0, 70, 1);
+        for (var i = 0; i < points.length; i++) {
+            add(0, "VERTEX", 8, layer, 10, ((points[i].x-bbox.x)*scale).toFixed(6), 20, ((bbox.y2-points[i].y)*scale).toFixed(6), 30, 0);
+        }
+        add(0, "SEQEND", 8, layer);
+    };
+    
+    // Header.
+    add(0, "SECTION", 2, "HEADER");
+    add(9, "$ACADVER", 1, "AC1009");
+    add(9, "$INSUNITS", 70, size ? dxfUnits[unit] : 0);
+    add(9, "$MEASUREMENT", 70, (size && unit != 'in') ? 1 : 0);
+    add(9, "$EXTMIN", 10, 0, 20, 0, 30, 0);
+    add(9, "$EXTMAX", 10, ((bbox.x2-bbox.x)*scale).toFixed(6), 20, ((bbox.y2-bbox.y)*scale).toFixed(6), 30, 0);
+    add(0, "ENDSEC");
+    
+    // Line type & layers.
+    var layers = Array();
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        layers.push("SLOT" + (iSlot+1));
+    }
+    layers.push("BBOX");
+    add(0, "SECTION", 2, "TABLES");
+    add(0, "TABLE", 2, "LTYPE", 70, 1);
+    add(0, "LTYPE", 2, "CONTINUOUS", 70, 0, 3, "Solid line", 72, 65, 73, 0, 40, 0);
+    add(0, "ENDTAB");
+    add(0, "TABLE", 2, "LAYER", 70, layers.length);
+    for (var i = 0; i < layers.length; i++) {
+        add(0, "LAYER", 2, layers[i], 70, 0, 62, (i == layers.length-1) ? 8 : 7, 6, "CONTINUOUS");
+    }
+    add(0, "ENDTAB");
+    add(0, "ENDSEC");
+    
+    // Shims & bounding box.
+    add(0, "SECTION", 2, "ENTITIES");
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            polyline(layers[iSlot], slot.shims[iShim]);
+        }
+    }
+    polyline("BBOX", [
+        {x: bbox.x, y: bbox.y}, 
+        {x: bbox.x2, y: bbox.y}, 
+        {x: bbox.x2, y: bbox.y2}, 
+        {x: bbox.x, y: bbox.y2}
+    ]);
+    add(0, "ENDSEC");
+    add(0, "EOF");
+    
+    return lines.join("\n") + "\n";
+}
+
+/** Maximum width/height of raster images in pixels, canvas size limits vary
+ *  across browsers. */
+var MAX_RASTER_SIZE = 8192;
+
+/** Raster image formats: file extension & MIME type. */
+var rasterFormats = {
+    png:    {extension: "png", mimeType: "image/png"},
+    jpeg:   {extension: "jpg", mimeType: "image/jpeg"}
+};
+
+/**
+ * Validate raster options.
+ *
+ *  @param rasterOptions    Raster options, see pieceToRaster().
+ *
+ *  @return error message, or undefined if valid.
+ */
+function validateRasterOptions(rasterOptions) {
+    var positive = function(value) {return (typeof(value) === 'number' && isFinite(value) && value > 0);};
+    if (!rasterFormats[rasterOptions.format]) return "Unknown image format " + rasterOptions.format;
+    if (rasterOptions.dpi !== undefined) {
+        if (!positive(rasterOptions.dpi)) return "Invalid DPI";
+        if (!baseUnitSize('in')) return "DPI needs a geometry profile in real units";
+    } else if (!positive(rasterOptions.pixels)) {
+        return "Invalid image size";
+    }
+    if (rasterOptions.margin !== undefined && !(rasterOptions.margin >= 0 && isFinite(rasterOptions.margin))) return "Invalid margin";
+}
+
+/**
+ * Compute the size of a raster image of a piece.
+ *
+ *  @param piece            The piece data, only the bounding box is used.
+ *  @param rasterOptions    Raster options, see pieceToRaster().
+ *
+ *  @return {width, height, scale} with image size in pixels and scale in pixels
+ *          per base unit, or undefined if options are invalid, see
+ *          validateRasterOptions().
+ */
+function rasterSize(piece, rasterOptions) {
+    if (validateRasterOptions(rasterOptions)) return;
+    
+    var width = piece.bbox.x2-piece.bbox.x, height = piece.bbox.y2-piece.bbox.y;
+    var scale;
+    if (rasterOptions.dpi !== undefined) {
+        var size = baseUnitSize('in');
+        scale = size*rasterOptions.dpi;
+    } else {
+        scale = rasterOptions.pixels/Math.max(width, height);
+    }
+    var margin = rasterOptions.margin || 0;
+    return {
+        width: Math.ceil(width*scale + 2*margin),
+        height: Math.ceil(height*scale + 2*margin),
+        scale: scale
+    };
+}
+
+/**
+ * Draw a piece onto a canvas in the active render theme.
+ *
+ *  @param piece        The piece data.
+ *  @param context      Canvas 2D context.
+ *  @param scale        Scale in pixels per base unit.
+ *  @param offX         X offset in pixels.
+ *  @param offY         Y offset in pixels.
+ */
+function drawCanvas(piece, context, scale, offX, offY) {
+    var strokeWidth = renderTheme.strokeWidth || 0.1;
+    
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        var fill = themeFill(iSlot);
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            var shim = slot.shims[iShim];
+            context.beginPath();
+            for (var i = 0; i < shim.length; i++) {
+                context.lineTo(shim[i].x*scale+offX, shim[i].y*scale+offY);
+            }
+            context.closePath();
+            if (fill) {
+                context.fillStyle = fill;
+                context.fill();
+            }
+            if (renderTheme.strokeWidth) {
+                context.strokeStyle = renderTheme.stroke;
+                context.lineWidth = strokeWidth*scale;
+                context.stroke();
+            }
+            
+            if (renderTheme.grain) {
+                var grain = grainLines(shim);
+                context.beginPath();
+                for (var i = 0; i < grain.length; i++) {
+                    context.moveTo(grain[i].x*scale+offX, grain[i].y*scale+offY);
+                    context.lineTo(grain[i].x*scale+offX, grain[i].y2*scale+offY);
+                }
+                context.strokeStyle = themeGrainColor(iSlot);
+                context.lineWidth = GRAIN_SPACING/4*scale;
+                context.stroke();
+            }
+        }
+    }
+    if (renderTheme.bbox) {
+        context.strokeStyle = renderTheme.stroke;
+        context.lineWidth = strokeWidth*scale;
+        context.strokeRect(
+            piece.bbox.x*scale+offX, piece.bbox.y*scale+offY, 
+            (piece.bbox.x2-piece.bbox.x)*scale, (piece.bbox.y2-piece.bbox.y)*scale
+        );
+    }
+}
+
+/**
+ * Output a piece as raster image in the active render theme.
+ *
+ *  @param piece            The piece data.
+ *  @param rasterOptions    Raster options:
+ *                          - format        Image format, see rasterFormats.
+ *                          - pixels        Size of the longest piece side in pixels.
+ *                          - dpi           Resolution for real size output, overrides
+ *                                          pixels, see baseUnitSize() (optional).
+ *                          - background    Background color (optional, default 
+ *                                          transparent, or white for JPEG).
+ *                          - margin        Margin around the piece in pixels (optional).
+ *                          - createCanvas  Canvas factory, called with args (width,
+ *                                          height).
+ *
+ *  @return image data as Uint8Array, or undefined if options or image size
+ *          are invalid, see validateRasterOptions() and MAX_RASTER_SIZE.
+ */
+function pieceToRaster(piece, rasterOptions) {
+    var size = rasterSize(piece, rasterOptions);
+    if (!size || size.width > MAX_RASTER_SIZE || size.height > MAX_RASTER_SIZE) return;
+    
+    var canvas = rasterOptions.createCanvas(size.width, size.height);
+    var context = canvas.getContext('2d');
+    var background = rasterOptions.background || (rasterOptions.format == 'jpeg' ? "#ffffff" : undefined);
+    if (background) {
+        context.fillStyle = background;
+        context.fillRect(0, 0, size.width, size.height);
+    }
+    var margin = rasterOptions.margin || 0;
+    drawCanvas(piece, context, size.scale, margin - piece.bbox.x*size.scale, margin - piece.bbox.y*size.scale);
+    
+    // Decode data URL.
+    var data = atob(canvas.toDataURL(rasterFormats[rasterOptions.format].mimeType).split(",")[1]);
+    var bytes = new Uint8Array(data.length);
+    for (var i = 0; i < data.length; i++) {
+        bytes[i] = data.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Create an empty bill of materials. Dimensions are given in the units of the
+ * active geometry profile, see geometryProfiles.
+ *
+ *  @return BOM object:
+ *          - unit          Dimension unit ('ratio' for base units).
+ *          - rows          Per-piece rows, see addPieceToBOM().
+ *          - nbPieces      Number of pieces.
+ *          - nbSlots       Total number of slots.
+ *          - nbShims       Total number of shims.
+ *          - units         Number of shim units, keyed by number of shims.
+ *          - width         Total width of pieces.
+ *          - height        Max height of pieces.
+ *          - footprint     Total wall footprint (width x height) of pieces.
+ */
+function newBOM() {
+    return {
+        unit: geometry.unit,
+        rows: Array(),
+        nbPieces: 0,
+        nbSlots: 0,
+        nbShims: 0,
+        units: {},
+        width: 0,
+        height: 0,
+        footprint: 0
+    };
+}
+
+/**
+ * Add a piece to a bill of materials.
+ *
+ *  @param bom      BOM object, see newBOM().
+ *  @param index    Piece index (BigInt, optional).
+ *  @param piece    The piece data.
+ *
+ *  @return the piece row:
+ *          - index         Piece index.
+ *          - sn            Piece S/N.
+ *          - notation      Piece S/N in artist notation.
+ *          - nbSlots       Number of slots.
+ *          - shims         Number of shims per slot.
+ *          - nbShims       Total number of shims.
+ *          - orientation   Orientation sequence, e.g. "UDUDU" (Up/Down).
+ *          - width, height Piece dimensions.
+ *          - footprint     Wall footprint (width x height).
+ */
+function addPieceToBOM(bom, index, piece) {
+    var row = {
+        index: index,
+        sn: piece.sn,
+        notation: snToNotation(piece.sn),
+        nbSlots: piece.slots.length,
+        shims: Array(),
+        nbShims: 0,
+        orientation: "",
+        width: (piece.bbox.x2-piece.bbox.x) * geometry.thickness,
+        height: (piece.bbox.y2-piece.bbox.y) * geometry.thickness
+    };
+    row.footprint = row.width * row.height;
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        row.shims.push(slot.shims.length);
+        row.nbShims += slot.shims.length;
+        row.orientation += (slot.upward > 0 ? "U" : "D");
+        bom.units[slot.nbShims] = (bom.units[slot.nbShims] || 0) + slot.repeat;
+    }
+    
+    bom.rows.push(row);
+    bom.nbPieces++;
+    bom.nbSlots += row.nbSlots;
+    bom.nbShims += row.nbShims;
+    bom.width += row.width;
+    bom.height = Math.max(bom.height, row.height);
+    bom.footprint += row.footprint;
+    return row;
+}
+
+/**
+ * Format a bill of materials as CSV: one row per piece, followed by totals and
+ * the cut list of shim units.
+ *
+ *  @param bom      BOM object, see newBOM().
+ *
+ *  @return CSV string.
+ */
+function bomToCSV(bom) {
+    var unit = (bom.unit == 'ratio' ? "" : " (" + bom.unit + ")");
+    var area = (bom.unit == 'ratio' ? "" : " (" + bom.unit + "2)");
+    var csvRow = function(fields) {
+        return fields.map(function(field) {
+            field = String(field);
+            return /[",\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+        }).join(",");
+    };
+    var round = function(value) {
+        return parseFloat(value.toFixed(3));
+    };
+    
+    var lines = Array();
+    lines.push(csvRow(["Index", "S/N", "Notation", "Slots", "Shims per slot", "Total shims", "Orientation", "Width" + unit, "Height" + unit, "Footprint" + area]));
+    for (var i = 0; i < bom.rows.length; i++) {
+        var row = bom.rows[i];
+        lines.push(csvRow([
+            (typeof(row.index) === 'undefined' ? "" : row.index),
+            row.sn, 
+            row.notation, 
+            row.nbSlots, 
+            row.shims.join(" "), 
+            row.nbShims, 
+            row.orientation,
+            round(row.width), 
+            round(row.height), 
+            round(row.footprint)
+        ]));
+    }
+    lines.push(csvRow(["Total", bom.nbPieces + " pieces", "", bom.nbSlots, "", bom.nbShims, "", round(bom.width), round(bom.height), round(bom.footprint)]));
+    lines.push("");
+    lines.push(csvRow(["Shim unit", "Count"]));
+    for (var nbShims in bom.units) {
+        lines.push(csvRow([nbShims + " shim" + (nbShims > 1 ? "s" : ""), bom.units[nbShims]]));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+/** Default installation wall & layout in mm, base units of ratio profiles
+ *  count as mm. */
+var INSTALL_DEFAULTS = {wallWidth: 4000, wallHeight: 2500, centerHeight: 1450, spacing: 100, rowSpacing: 100};
+
+/**
+ * Get default installation options in the units of the active geometry
+ * profile, see INSTALL_DEFAULTS.
+ *
+ *  @return {wallWidth, wallHeight, centerHeight, spacing, rowSpacing}.
+ */
+function installationDefaults() {
+    var factor = (geometry.unit == 'ratio' ? 1 : unitPt.mm / unitPt[geometry.unit]);
+    var options = {};
+    for (var key in INSTALL_DEFAULTS) {
+        options[key] = parseFloat((INSTALL_DEFAULTS[key]*factor).toFixed(2));
+    }
+    return options;
+}
+
+/**
+ * Plan the installation of pieces on a wall. Pieces are laid out in rows from
+ * left to right, each row being centered horizontally on the wall, and the
+ * whole arrangement being centered vertically around a given height. All 
+ * dimensions are given in the units of the active geometry profile.
+ *
+ *  @param pieces       Array of piece data.
+ *  @param options      Installation options:
+ *                      - wallWidth     Wall width.
+ *                      - wallHeight    Wall height.
+ *                      - columns       Number of pieces per row (0 for a single row).
+ *                      - spacing       Horizontal space between pieces.
+ *                      - rowSpacing    Vertical space between rows.
+ *                      - align         Alignment of pieces within rows ('top', 
+ *                                      'center', 'bottom').
+ *                      - centerHeight  Height of arrangement center above the
+ *                                      floor (default half wall height).
+ *
+ *  @return installation plan:
+ *          - unit          Dimension unit ('ratio' for base units).
+ *          - wall          Wall size {width, height}.
+ *          - items         Placed pieces {piece, x, y, width, height, hanging},
+ *                          positions being measured from the top left wall
+ *                          corner. Hanging points {x, y} are given from the
+ *                          left wall edge and the floor.
+ *          - bbox          Arrangement bounding box {x, y, x2, y2}.
+ *          - fits          Whether the arrangement fits on the wall.
+ */
+function planInstallation(pieces, options) {
+    var t = geometry.thickness;
+    var columns = options.columns || pieces.length;
+    var rows = Array();
+    for (var i = 0; i < pieces.length; i += columns) {
+        rows.push(pieces.slice(i, i+columns));
+    }
+    
+    // Row sizes.
+    var rowWidths = Array(), rowHeights = Array(), height = 0;
+    for (var r = 0; r < rows.length; r++) {
+        var w = 0, h = 0;
+        for (var c = 0; c < rows[r].length; c++) {
+            var bbox = rows[r][c].bbox;
+            w += (bbox.x2-bbox.x)*t + (c > 0 ? options.spacing : 0);
+            h = Math.max(h, (bbox.y2-bbox.y)*t);
+        }
+        rowWidths.push(w);
+        rowHeights.push(h);
+        height += h + (r > 0 ? options.rowSpacing : 0);
+    }
+    
+    // Place pieces.
+    var centerHeight = (typeof(options.centerHeight) === 'undefined' ? options.wallHeight/2 : options.centerHeight);
+    var items = Array();
+    var bbox = {x: Number.POSITIVE_INFINITY, y: Number.POSITIVE_INFINITY, x2: Number.NEGATIVE_INFINITY, y2: Number.NEGATIVE_INFINITY};
+    var y = options.wallHeight - centerHeight - height/2;
+    for (var r = 0; r < rows.length; r++) {
+        var x = (options.wallWidth - rowWidths[r])/2;
+        for (var c = 0; c < rows[r].length; c++) {
+            var piece = rows[r][c];
+            var item = {
+                piece: piece,
+                x: x,
+                y: y,
+                width: (piece.bbox.x2-piece.bbox.x)*t,
+                height: (piece.bbox.y2-piece.bbox.y)*t
+            };
+            switch (options.align) {
+                case 'center': item.y += (rowHeights[r]-item.height)/2; break;
+                case 'bottom': item.y += rowHeights[r]-item.height; break;
+            }
+            
+            // Two hanging points on top edge, at one quarter from each side.
+            item.hanging = [
+                {x: item.x + item.width/4, y: options.wallHeight - item.y},
+                {x: item.x + item.width*3/4, y: options.wallHeight - item.y}
+            ];
+            items.push(item);
+            
+            bbox.x = Math.min(bbox.x, item.x);
+            bbox.y = Math.min(bbox.y, item.y);
+            bbox.x2 = Math.max(bbox.x2, item.x+item.width);
+            bbox.y2 = Math.max(bbox.y2, item.y+item.height);
+            x += item.width + options.spacing;
+        }
+        y += rowHeights[r] + options.rowSpacing;
+    }
+    
+    return {
+        unit: geometry.unit,
+        wall: {width: options.wallWidth, height: options.wallHeight},
+        items: items,
+        bbox: bbox,
+        fits: (items.length == 0 || (bbox.x >= 0 && bbox.y >= 0 && bbox.x2 <= options.wallWidth && bbox.y2 <= options.wallHeight))
+    };
+}
+
+/**
+ * Format a dimension of an installation plan.
+ *
+ *  @param plan     Installation plan, see planInstallation().
+ *  @param value    Dimension value.
+ *
+ *  @return dimension string.
+ */
+function planDimension(plan, value) {
+    return parseFloat(value.toFixed(2)) + (plan.unit == 'ratio' ? "" : " " + plan.unit);
+}
+
+/**
+ * Output an installation plan as SVG document. The view box is the wall, in
+ * plan units, pieces are scaled accordingly. Hanging points are drawn as small
+ * circles with their coordinates.
+ *
+ *  @param plan     Installation plan, see planInstallation().
+ *
+ *  @return SVG string.
+ */
+function installationToSVG(plan) {
+    var t = geometry.thickness;
+    var wall = plan.wall;
+    var fontSize = Math.max(wall.width, wall.height) / 80;
+    var svg = "<svg xmlns=\"http://www.w3.org/2000/svg\" version=\"1.1\""
+        + " viewBox=\"" + (-fontSize*4) + " " + (-fontSize*4) + " " + (wall.width+fontSize*8) + " " + (wall.height+fontSize*8) + "\""
+        + " fill=\"none\" stroke=\"black\" stroke-width=\"" + fontSize/10 + "\" font-family=\"sans-serif\" font-size=\"" + fontSize + "\">";
+    
+    // Wall & overall dimensions.
+    svg += "<rect x=\"0\" y=\"0\" width=\"" + wall.width + "\" height=\"" + wall.height + "\" class=\"wall\"/>";
+    svg += "<text x=\"" + wall.width/2 + "\" y=\"" + (-fontSize) + "\" fill=\"black\" stroke=\"none\" text-anchor=\"middle\">" + planDimension(plan, wall.width) + "</text>";
+    svg += "<text x=\"" + (-fontSize) + "\" y=\"" + wall.height/2 + "\" fill=\"black\" stroke=\"none\" text-anchor=\"middle\" transform=\"rotate(-90 " + (-fontSize) + " " + wall.height/2 + ")\">" + planDimension(plan, wall.height) + "</text>";
+    
+    // Pieces.
+    for (var i = 0; i < plan.items.length; i++) {
+        var item = plan.items[i];
+        var piece = item.piece;
+        svg += "<g transform=\"translate(" + item.x + " " + item.y + ") scale(" + t + ") translate(" + (-piece.bbox.x) + " " + (-piece.bbox.y) + ")\" stroke=\"" + renderTheme.stroke + "\" stroke-width=\"" + fontSize/10/t + "\">";
+        svg += pieceSVGElements(piece, false);
+        svg += "</g>";
+        svg += "<text x=\"" + (item.x + item.width/2) + "\" y=\"" + (item.y + item.height + fontSize*1.5) + "\" fill=\"black\" stroke=\"none\" text-anchor=\"middle\">" + piece.sn + "</text>";
+        
+        // Hanging points.
+        for (var j = 0; j < item.hanging.length; j++) {
+            var h = item.hanging[j];
+            svg += "<circle cx=\"" + h.x + "\" cy=\"" + (wall.height-h.y) + "\" r=\"" + fontSize/3 + "\" class=\"hanging\" stroke=\"red\"/>";
+            svg += "<text x=\"" + h.x + "\" y=\"" + (wall.height-h.y-fontSize/2) + "\" fill=\"red\" stroke=\"none\" text-anchor=\"middle\" font-size=\"" + fontSize*0.6 + "\">" + planDimension(plan, h.x) + ", " + planDimension(plan, h.y) + "</text>";
+        }
+    }
+    svg += "</svg>";
+    return svg;
+}
+
+/**
+ * Output an installation plan as PDF document: a drawing of the wall with the
+ * pieces at true proportion and their hanging points, followed by the table of
+ * hanging points measured from the left wall edge and the floor.
+ *
+ *  @param plan     Installation plan, see planInstallation().
+ *  @param options  Page options:
+ *                  - orient    Orientation ('portrait', 'landscape').
+ *                  - format    Page format ('a3', 'a4','a5' ,'letter' ,'legal').
+ *                  - title     Document title (optional).
+ *
+ *  @return jsPDF document.
+ */
+function installationToPDF(plan, options) {
+    var fontSize = 10; /* pt */
+    var lineHeight = fontSize*1.5;
+    var margin = 36; /* pt */
+    var pdf = new jsPDF(options.orient, 'pt', options.format);
+    var pageWidth = pdf.internal.pageSize.width;
+    var pageHeight = pdf.internal.pageSize.height;
+    var wall = plan.wall;
+    var t = geometry.thickness;
+    pdf.setFontSize(fontSize);
+    
+    // Title.
+    var y = margin + fontSize;
+    pdf.setFontType('bold');
+    pdf.text(margin, y, options.title || "Installation plan");
+    pdf.setFontType('normal');
+    y += lineHeight;
+    pdf.text(margin, y, "Wall " + planDimension(plan, wall.width) + " x " + planDimension(plan, wall.height) + ", " + plan.items.length + " pieces" + (plan.fits ? "" : " - WARNING: arrangement exceeds the wall!"));
+    y += lineHeight*2;
+    
+    // Wall drawing.
+    var scale = Math.min((pageWidth - 2*margin - lineHeight*2) / wall.width, (pageHeight - y - margin - lineHeight*2) / wall.height);
+    var offX = margin + lineHeight*2, offY = y + lineHeight;
+    pdf.setLineWidth(0.5);
+    pdf.rect(offX, offY, wall.width*scale, wall.height*scale, 'D');
+    
+    // Wall dimensions.
+    var text = planDimension(plan, wall.width);
+    pdf.text(offX + wall.width*scale/2 - pdf.getStringUnitWidth(text)*fontSize/2, offY - fontSize/2, text);
+    text = planDimension(plan, wall.height);
+    pdf.text(offX - pdf.getStringUnitWidth(text)*fontSize - fontSize/2, offY + wall.height*scale/2, text);
+    
+    // Pieces & hanging points.
+    for (var i = 0; i < plan.items.length; i++) {
+        var item = plan.items[i];
+        drawPDF(item.piece, pdf, t*scale, offX + item.x*scale - item.piece.bbox.x*t*scale, offY + item.y*scale - item.piece.bbox.y*t*scale);
+        pdf.setDrawColor(255, 0, 0);
+        pdf.setLineWidth(0.5);
+        for (var j = 0; j < item.hanging.length; j++) {
+            pdf.circle(offX + item.hanging[j].x*scale, offY + (wall.height - item.hanging[j].y)*scale, 2, 'D');
+        }
+        pdf.setDrawColor(0, 0, 0);
+    }
+    
+    // Hanging points table.
+    pdf.addPage();
+    y = margin + fontSize;
+    var columns = [0, 0.08, 0.4, 0.6, 0.8];
+    var row = function(cells) {
+        for (var c = 0; c < cells.length; c++) {
+            if (cells[c] === "") continue;
+            pdf.text(margin + (pageWidth - 2*margin)*columns[c], y, String(cells[c]));
+        }
+        y += lineHeight;
+        if (y > pageHeight - margin) {
+            pdf.addPage();
+            y = margin + fontSize;
+        }
+    };
+    pdf.setFontType('bold');
+    row(["#", "Piece", "Hanging point", "From left", "From floor"]);
+    pdf.setFontType('normal');
+    for (var i = 0; i < plan.items.length; i++) {
+        var item = plan.items[i];
+        for (var j = 0; j < item.hanging.length; j++) {
+            row([
+                (j == 0 ? i+1 : ""),
+                (j == 0 ? pieceLabel(item.piece.sn, 'both') : ""),
+                (j == 0 ? "Left" : "Right"),
+                planDimension(plan, item.hanging[j].x),
+                planDimension(plan, item.hanging[j].y)
+            ]);
+        }
+    }
+    
+    return pdf;
+}
+
+/** Maximum number of pieces scanned by filterIndices(). */
+var MAX_FILTER = 200000;
+
+/**
+ * Parse a filter query over piece properties. The query language combines 
+ * comparisons and flags with 'and', 'or', 'not' and parentheses, e.g.
+ * "slot1 = 7 and shims < 20", "palindrome or not (up and width > 30)".
+ *
+ * Properties, compared with =, !=, <, <=, >, >= to a number or a shim letter
+ * (A=1 ... Z=26):
+ *
+ *  - slots         Number of slots.
+ *  - shims         Total number of shims.
+ *  - units         Total number of shim units.
+ *  - slotN         Number of shims per unit in slot N (1-based).
+ *  - repeatN       Number of repeating sub-units in slot N.
+ *  - shimsN        Number of shims in slot N.
+ *  - width, height Piece dimensions, in geometry units.
+ *  - class         Size of symmetry class, see symmetryClass().
+ *
+ * Flags:
+ *
+ *  - up, down      Orientation of the first slot.
+ *  - palindrome    Slot pattern reads the same both ways.
+ *
+ *  @param query    Query string.
+ *
+ *  @return filter object:
+ *          - query         Query string.
+ *          - geometric     Whether the filter needs computed pieces.
+ *          - match         Function(sn, pieceOptions) returning whether the
+ *                          piece matches.
+ *          or {error} with an error message if the query is invalid.
+ */
+function parseFilter(query) {
+    // Tokenize.
+    var tokens = Array();
+    var re = /\s*(?:(<=|>=|!=|==|=|<|>|\(|\))|([A-Za-z]+\d*)|(\d+(?:\.\d+)?)|(\S))/g;
+    var m;
+    while ((m = re.exec(query)) && m[0].length) {
+        if (m[4]) return {error: "Unexpected character '" + m[4] + "'"};
+        if (m[1]) tokens.push({op: (m[1] == "==" ? "=" : m[1])});
+        else if (m[2]) tokens.push({word: m[2].toLowerCase()});
+        else if (m[3]) tokens.push({number: parseFloat(m[3])});
+    }
+    if (!tokens.length) return {error: "Empty query"};
+    
+    var pos = 0;
+    var geometric = false;
+    var describe = function(token) {
+        return token ? "'" + (token.op || token.word || token.number) + "'" : "end of query";
+    };
+    var fail = function(expected) {
+        throw new Error("Expected " + expected + " instead of " + describe(tokens[pos]));
+    };
+    var isWord = function(word) {
+        return (pos < tokens.length && tokens[pos].word == word);
+    };
+    
+    // Recursive descent: or > and > not > primary.
+    var parseOr = function() {
+        var terms = [parseAnd()];
+        while (isWord('or')) {pos++; terms.push(parseAnd());}
+        return (terms.length == 1) ? terms[0] : function(p) {
+            for (var i = 0; i < terms.length; i++) if (terms[i](p)) return true;
+            return false;
+        };
+    };
+    var parseAnd = function() {
+        var terms = [parseNot()];
+        while (isWord('and')) {pos++; terms.push(parseNot());}
+        return (terms.length == 1) ? terms[0] : function(p) {
+            for (var i = 0; i < terms.length; i++) if (!terms[i](p)) return false;
+            return true;
+        };
+    };
+    var parseNot = function() {
+        if (isWord('not')) {
+            pos++;
+            var term = parseNot();
+            return function(p) {return !term(p);};
+        }
+        return parsePrimary();
+    };
+    var parsePrimary = function() {
+        var token = tokens[pos];
+        if (!token) fail("property or flag");
+        if (token.op == '(') {
+            pos++;
+            var expr = parseOr();
+            if (!tokens[pos] || tokens[pos].op != ')') fail("')'");
+            pos++;
+            return expr;
+        }
+        if (!token.word) fail("property or flag");
+        pos++;
+        
+        // Flags.
+        switch (token.word) {
+            case 'up':          return function(p) {return p.upward > 0;};
+            case 'down':        return function(p) {return p.upward < 0;};
+            case 'palindrome':  return function(p) {return p.palindrome;};
+        }
+        
+        // Property getter.
+        var get;
+        var slot = token.word.match(/^(slot|repeat|shims)(\d+)$/);
+        if (slot) {
+            var iSlot = parseInt(slot[2])-1;
+            var field = {slot: 'shims', repeat: 'repeat', shims: 'total'}[slot[1]];
+            if (iSlot < 0) throw new Error("Invalid slot number in '" + token.word + "'");
+            get = function(p) {return (iSlot < p.slot.length) ? p.slot[iSlot][field] : undefined;};
+        } else if (['slots', 'shims', 'units', 'width', 'height', 'class'].indexOf(token.word) != -1) {
+            if (token.word == 'width' || token.word == 'height') geometric = true;
+            get = function(p) {return p[token.word];};
+        } else {
+            throw new Error("Unknown property '" + token.word + "'");
+        }
+        
+        // Comparison.
+        var op = tokens[pos] && tokens[pos].op;
+        if (!op || op == '(' || op == ')') fail("comparison operator");
+        pos++;
+        var value = tokens[pos];
+        if (value && typeof(value.number) !== 'undefined') {
+            value = value.number;
+        } else if (value && value.word && /^[a-z]$/.test(value.word)) {
+            value = value.word.charCodeAt(0)-96; /* a=97 */
+        } else {
+            fail("number or shim letter");
+        }
+        pos++;
+        var compare = {
+            '=':  function(a) {return a == value;},
+            '!=': function(a) {return a != value;},
+            '<':  function(a) {return a < value;},
+            '<=': function(a) {return a <= value;},
+            '>':  function(a) {return a > value;},
+            '>=': function(a) {return a >= value;}
+        }[op];
+        return function(p) {
+            var a = get(p);
+            return (typeof(a) !== 'undefined' && compare(a));
+        };
+    };
+    
+    var expr;
+    try {
+        expr = parseOr();
+        if (pos < tokens.length) fail("'and' or 'or'");
+    } catch (e) {
+        return {error: e.message};
+    }
+    
+    return {
+        query: query,
+        geometric: geometric,
+        match: function(sn, pieceOptions) {
+            var parsed = parseSN(sn);
+            if (!parsed) return false;
+            
+            // Piece properties.
+            var p = {upward: parsed.upward, slots: parsed.slots.length, slot: Array(), shims: 0, units: 0, palindrome: true, 'class': symmetryClass(normalizeSN(sn)).length};
+            for (var i = 0; i < parsed.slots.length; i++) {
+                var slot = parsed.slots[i];
+                p.slot.push({shims: slot.shims, repeat: slot.repeat, total: slot.shims*slot.repeat});
+                p.shims += slot.shims*slot.repeat;
+                p.units += slot.repeat;
+            }
+            for (var i = 0, j = p.slots-1; i < j; i++, j--) {
+                if (p.slot[i].shims != p.slot[j].shims || p.slot[i].repeat != p.slot[j].repeat) {
+                    p.palindrome = false;
+                    break;
+                }
+            }
+            if (geometric) {
+                var piece = computePiece(sn, pieceOptions);
+                p.width = (piece.bbox.x2-piece.bbox.x) * geometry.thickness;
+                p.height = (piece.bbox.y2-piece.bbox.y) * geometry.thickness;
+            }
+            return expr(p);
+        }
+    };
+}
+
+/**
+ * Get indices of the pieces of a set matching a filter. In canonical mode, 
+ * only the first piece of each symmetry class in the sequence is kept, so 
+ * that each distinct piece is seen once.
+ *
+ *  @param set              Piece set, see piecesToPDF(), with optional
+ *                          canonical mode flag.
+ *  @param filter           Filter object, see parseFilter() (optional).
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *
+ *  @return array of BigInt indices in ascending order, or undefined if the set
+ *          has more than MAX_FILTER pieces.
+ */
+function filterIndices(set, filter, pieceOptions) {
+    var first = BigInt(set.first || 0);
+    if (set.nbPieces - first > BigInt(MAX_FILTER)) return;
+    
+    var indices = Array();
+    for (var i = first; i < set.nbPieces; i++) {
+        var sn = generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+        if (set.canonical && firstOfClass(sn, i, set) != i) continue;
+        if (filter && !filter.match(sn, pieceOptions)) continue;
+        indices.push(i);
+    }
+    return indices;
+}
+
+/**
+ * Get index of the first piece of a symmetry class in a sequence.
+ *
+ *  @param sn       The piece serial number.
+ *  @param index    Piece index (BigInt).
+ *  @param set      Piece set, see piecesToPDF().
+ *
+ *  @return BigInt index.
+ */
+function firstOfClass(sn, index, set) {
+    var members = symmetryClass(sn);
+    for (var i = 0; i < members.length; i++) {
+        var memberIndex = findPermutation(members[i], set.g, set.x, set.y, set.z, set.order);
+        if (memberIndex < index) index = memberIndex;
+    }
+    return index;
+}
+
+/**
+ * Sort pieces by a metric, ties keeping their order.
+ *
+ *  @param set              Piece set, see piecesToPDF().
+ *  @param indices          Array of BigInt piece indices.
+ *  @param metric           Metric name, see pieceMetrics.
+ *  @param descending       Whether to sort by decreasing values.
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *
+ *  @return sorted array of BigInt indices.
+ */
+function sortIndices(set, indices, metric, descending, pieceOptions) {
+    var values = indices.map(function(index) {
+        return computePiece(generatePermutation(index, set.g, set.x, set.y, set.z, set.order), pieceOptions).metrics[metric];
+    });
+    return sortByValues(indices, values, descending);
+}
+
+/** Sort indices by the given values, ties keeping their order. */
+function sortByValues(indices, values, descending) {
+    var order = indices.map(function(index, i) {return i;});
+    order.sort(function(a, b) {
+        return (descending ? values[b] - values[a] : values[a] - values[b]) || (a - b);
+    });
+    return order.map(function(i) {return indices[i];});
+}
+
+/**
+ * Filter then optionally sort pieces in the background, by steps of 1000 
+ * pieces to keep the interface responsive. Same result as filterIndices() 
+ * followed by sortIndices().
+ *
+ *  @param set              Piece set, see filterIndices().
+ *  @param filter           Filter object, see parseFilter() (optional).
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *  @param sort             Sort options {metric, descending} (optional).
+ *  @param onstep           Called after each step with the number of pieces
+ *                          processed and the total, returning false cancels.
+ *  @param ondone           Called at the end with the array of BigInt indices,
+ *                          or undefined if the set has more than MAX_FILTER 
+ *                          pieces.
+ */
+function filterIndicesBg(set, filter, pieceOptions, sort, onstep, ondone) {
+    var first = BigInt(set.first || 0);
+    if (set.nbPieces - first > BigInt(MAX_FILTER)) {
+        ondone();
+        return;
+    }
+    
+    var step = 1000;
+    var total = Number(set.nbPieces - first);
+    var indices = Array(), values = Array();
+    var i = first, s = 0;
+    var processBg = function() {
+        // Filter pass, then metric pass for sorting.
+        for (var nb = 0; nb < step && i < set.nbPieces; nb++, i++) {
+            var sn = generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+            if (set.canonical && firstOfClass(sn, i, set) != i) continue;
+            if (filter && !filter.match(sn, pieceOptions)) continue;
+            indices.push(i);
+        }
+        for (; nb < step && sort && s < indices.length; nb++, s++) {
+            values.push(computePiece(generatePermutation(indices[s], set.g, set.x, set.y, set.z, set.order), pieceOptions).metrics[sort.metric]);
+        }
+        if (i < set.nbPieces || (sort && s < indices.length)) {
+            if (onstep(Number(i - first) + s, total + (sort ? indices.length : 0)) === false) return;
+            setTimeout(processBg, 0);
+            return;
+        }
+        ondone(sort ? sortByValues(indices, values, sort.descending) : indices);
+    };
+    processBg();
+}
+
+/**
+ * Compute the distribution of a metric as histogram.
+ *
+ *  @param values   Array of metric values.
+ *  @param nbBins   Maximum number of bins. Integer values spanning fewer 
+ *                  values get one bin per value.
+ *
+ *  @return histogram object {min, max, mean, width, bins}, bins being the
+ *          number of values in [min+i*width, min+(i+1)*width).
+ */
+function metricHistogram(values, nbBins) {
+    var min = Number.POSITIVE_INFINITY, max = Number.NEGATIVE_INFINITY, sum = 0;
+    var integers = true;
+    for (var i = 0; i < values.length; i++) {
+        min = Math.min(min, values[i]);
+        max = Math.max(max, values[i]);
+        sum += values[i];
+        if (Math.floor(values[i]) != values[i]) integers = false;
+    }
+    if (!values.length) min = max = 0;
+    
+    var width;
+    if (integers && max-min+1 <= nbBins) {
+        nbBins = max-min+1;
+        width = 1;
+    } else {
+        width = (max-min)/nbBins || 1;
+    }
+    var bins = Array(nbBins);
+    for (var i = 0; i < nbBins; i++) bins[i] = 0;
+    for (var i = 0; i < values.length; i++) {
+        bins[Math.min(nbBins-1, Math.floor((values[i]-min)/width))]++;
+    }
+    return {min: min, max: max, mean: (values.length ? sum/values.length : 0), width: width, bins: bins};
+}
+
+/**
+ * Compute statistics of piece metrics over a set. Pieces beyond the limit are
+ * ignored; in shuffled order the first pieces are a random sample of the set.
+ *
+ *  @param set              Piece set, see piecesToPDF().
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *  @param max              Maximum number of pieces.
+ *  @param nbBins           Maximum number of histogram bins.
+ *
+ *  @return statistics object:
+ *          - nbPieces      Number of pieces used.
+ *          - sampled       Whether the set has more pieces.
+ *          - histograms    Histograms keyed by metric name, see
+ *                          metricHistogram().
+ */
+function pieceStatistics(set, pieceOptions, max, nbBins) {
+    var values = {};
+    for (var name in pieceMetrics) values[name] = Array();
+    var add = function(index) {
+        var metrics = computePiece(generatePermutation(index, set.g, set.x, set.y, set.z, set.order), pieceOptions).metrics;
+        for (var name in pieceMetrics) values[name].push(metrics[name]);
+    };
+    
+    var total;
+    if (set.filter) {
+        total = set.filter.length;
+        for (var i = 0; i < total && i < max; i++) add(set.filter[i]);
+    } else {
+        var first = BigInt(set.first || 0);
+        total = set.nbPieces - first;
+        for (var i = first; i < set.nbPieces && i-first < BigInt(max); i++) add(i);
+    }
+    
+    var stats = {nbPieces: values.shims.length, sampled: (BigInt(total) > BigInt(max)), histograms: {}};
+    for (var name in pieceMetrics) {
+        stats.histograms[name] = metricHistogram(values[name], nbBins);
+    }
+    return stats;
+}
+
+/**
+ * Output a metric histogram as SVG bar chart.
+ *
+ *  @param name         Metric name, see pieceMetrics.
+ *  @param histogram    Histogram object, see metricHistogram().
+ *
+ *  @return SVG string.
+ */
+function histogramToSVG(name, histogram) {
+    var width = 300, height = 120, top = 20, bottom = 20;
+    var peak = Math.max.apply(null, histogram.bins) || 1;
+    var barWidth = width/histogram.bins.length;
+    var svg = "<svg xmlns=\"http://www.w3.org/2000/svg\" version=\"1.1\" viewBox=\"0 0 " + width + " " + (top+height+bottom) + "\" font-family=\"sans-serif\" font-size=\"10\">";
+    svg += "<text x=\"0\" y=\"12\" font-weight=\"bold\">" + pieceMetrics[name].label + "</text>";
+    svg += "<text x=\"" + width + "\" y=\"12\" text-anchor=\"end\">mean " + formatMetric(name, histogram.mean) + "</text>";
+    for (var i = 0; i < histogram.bins.length; i++) {
+        var h = histogram.bins[i]/peak*height;
+        var low = histogram.min + i*histogram.width;
+        var title = (histogram.width == 1 && Math.floor(low) == low) 
+            ? formatMetric(name, low) 
+            : formatMetric(name, low) + " - " + formatMetric(name, low + histogram.width);
+        svg += "<rect x=\"" + (i*barWidth+0.5) + "\" y=\"" + (top+height-h) + "\" width=\"" + Math.max(barWidth-1, 0.5) + "\" height=\"" + h + "\" fill=\"#777\">"
+            + "<title>" + title + ": " + histogram.bins[i] + "</title></rect>";
+    }
+    svg += "<line x1=\"0\" y1=\"" + (top+height) + "\" x2=\"" + width + "\" y2=\"" + (top+height) + "\" stroke=\"black\"/>";
+    svg += "<text x=\"0\" y=\"" + (top+height+bottom-4) + "\">" + formatMetric(name, histogram.min) + "</text>";
+    svg += "<text x=\"" + width + "\" y=\"" + (top+height+bottom-4) + "\" text-anchor=\"end\">" + formatMetric(name, histogram.max) + "</text>";
+    svg += "</svg>";
+    return svg;
+}
+
+/**
+ * Get indices of toggled pieces in ascending order.
+ *
+ *  @param pieceToggle  Piecewise selection toggle state, keyed by piece index.
+ *
+ *  @return array of BigInt indices.
+ */
+function toggledPieces(pieceToggle) {
+    var indices = Object.keys(pieceToggle).map(function(i) {return BigInt(i);});
+    return indices.sort(function(a, b) {return (a < b) ? -1 : (a > b) ? 1 : 0;});
+}
+
+/**
+ * Encode sorted piece indices as compact ranges, e.g. "1-5,9,20-22".
+ *
+ *  @param indices  Array of BigInt indices in ascending order.
+ *
+ *  @return range string.
+ */
+function encodeRanges(indices) {
+    var ranges = Array();
+    for (var i = 0; i < indices.length; i++) {
+        var first = indices[i];
+        while (i+1 < indices.length && indices[i+1] == indices[i]+1n) i++;
+        ranges.push(first == indices[i] ? first.toString() : first + "-" + indices[i]);
+    }
+    return ranges.join(",");
+}
+
+/**
+ * Decode ranges encoded by encodeRanges().
+ *
+ *  @param str      Range string.
+ *
+ *  @return array of [first, last] BigInt pairs, or undefined if invalid.
+ */
+function decodeRanges(str) {
+    var ranges = Array();
+    if (!str) return ranges;
+    var items = str.split(",");
+    for (var i = 0; i < items.length; i++) {
+        var range = items[i].match(/^(\d+)(?:-(\d+))?$/);
+        if (!range) return;
+        var first = BigInt(range[1]);
+        var last = (typeof(range[2]) === 'undefined' ? first : BigInt(range[2]));
+        if (last < first) return;
+        ranges.push([first, last]);
+    }
+    return ranges;
+}
+
+/** Maximum number of toggled pieces listed with their S/N in selection sets. */
+var MAX_SELECTION_SN = 1000;
+
+/**
+ * Build a named selection set from a piece set, for storage and exchange as 
+ * JSON. Toggled pieces are stored as compact ranges, and listed with their
+ * S/N so that the set can be verified on import.
+ *
+ *  @param name             Selection set name.
+ *  @param set              Piece set, see piecesToPDF().
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *  @param max              Whether the set has the max number of pieces.
+ *
+ *  @return selection set object.
+ */
+function selectionSet(name, set, pieceOptions, max) {
+    var toggled = toggledPieces(set.pieceToggle);
+    var selection = {
+        name: name,
+        date: new Date().toISOString(),
+        x: set.x, y: set.y, z: set.z,
+        seed: set.seed,
+        order: set.order,
+        nbPieces: (max ? "max" : set.nbPieces.toString()),
+        cropped: !!pieceOptions.cropped,
+        trapezoidal: !!pieceOptions.trapezoidal,
+        defaultSelected: !!set.defaultSelected,
+        nbSelected: set.nbSelected.toString(),
+        toggled: encodeRanges(toggled)
+    };
+    if (toggled.length <= MAX_SELECTION_SN) {
+        selection.pieces = toggled.map(function(i) {
+            return {index: i.toString(), sn: generatePermutation(i, set.g, set.x, set.y, set.z, set.order)};
+        });
+    }
+    return selection;
+}
+
+/**
+ * Validate a selection set, e.g. after import. Listed S/Ns must match the
+ * pieces generated from the set composition. Sorted order tables in use are
+ * left untouched.
+ *
+ *  @param selection    Selection set object, see selectionSet().
+ *
+ *  @return error message, or undefined if valid.
+ */
+function validateSelectionSet(selection) {
+    if (!selection || typeof(selection) !== 'object') return "Not a selection set";
+    var handle = function(value, max) {return (typeof(value) === 'number' && value >= 1 && value <= max && Math.floor(value) == value);};
+    if (!handle(selection.x, 15) || !handle(selection.y, 15) || !handle(selection.z, 3)) return "Invalid handles";
+    if (typeof(selection.seed) !== 'string') return "Invalid seed";
+    if (!isOrdering(selection.order)) return "Unknown order " + selection.order;
+    if (selection.nbPieces != "max" && !/^\d+$/.test(selection.nbPieces)) return "Invalid number of pieces";
+    if (!decodeRanges(selection.toggled)) return "Invalid toggled pieces";
+    
+    if (selection.pieces) {
+        var x = selection.x, y = selection.y, z = selection.z;
+        var g = lcg_params(normalizeSeed(selection.seed), x, y, z);
+        var ordering = orderings[selection.order];
+        if (!ordering.prepare) return checkPieces();
+        
+        // Sorted tables are shared with the current set, restore them afterwards.
+        if (permutationSize(x, y, z) > BigInt(MAX_SORTED)) return "Permutation size too large for sorted order";
+        var saved = {key: ordering.key, table: ordering.table, inverse: ordering.inverse};
+        try {
+            ordering.prepare(x, y, z, {cropped: selection.cropped, trapezoidal: selection.trapezoidal});
+            return checkPieces();
+        } finally {
+            ordering.key = saved.key;
+            ordering.table = saved.table;
+            ordering.inverse = saved.inverse;
+        }
+    }
+    
+    function checkPieces() {
+        for (var i = 0; i < selection.pieces.length; i++) {
+            var piece = selection.pieces[i];
+            if (!piece || !/^\d+$/.test(piece.index)) return "Invalid piece index";
+            var sn = generatePermutation(BigInt(piece.index), g, x, y, z, selection.order);
+            if (sn != normalizeSN(piece.sn)) return "Piece " + piece.index + " is " + sn + " instead of " + piece.sn;
+        }
+    }
+}
+
+/**
+ * Iterate over the selected pieces of a set. When all pieces are selected by
+ * default, iteration is done in the background by steps of 100 pieces to keep
+ * the interface responsive. When the set has a filter, only matching pieces
+ * are iterated over, in filter order.
+ *
+ *  @param set          Piece set, see piecesToPDF().
+ *  @param max          Maximum number of pieces to process.
+ *  @param process      Function(index) called for each selected piece.
+ *  @param onstep       Function(nb) called after each step.
+ *  @param ondone       Function(nb) called once max pieces or the end of the
+ *                      set are reached.
+ */
+function forEachSelected(set, max, process, onstep, ondone) {
+    var nb = 0;
+    if (set.defaultSelected) {
+        // All pieces but toggled ones.
+        var i = (set.filter ? 0n : BigInt(set.first || 0));
+        var end = (set.filter ? BigInt(set.filter.length) : set.nbPieces);
+        var step = 100;
+        var processBg = function() {
+            for (; i < end; i++) {
+                var index = (set.filter ? set.filter[Number(i)] : i);
+                if (set.pieceToggle[index]) continue;
+                process(index);
+                nb++;
+
+                if (nb >= max) {
+                    ondone(nb);
+                    return;
+                }
+                
+                if ((nb % step) == 0) {
+                    onstep(nb);
+                    i++;
+                    setTimeout(processBg, 0);
+                    return;
+                }
+            }
+            
+            // Reached end of set.
+            ondone(nb);
+        }
+        processBg();
+    } else {
+        // Only toggled pieces, in filter order if any.
+        // Note: no progress here, we expect the number of pieces to be small.
+        var toggled = (set.filter
+            ? set.filter.filter(function(index) {return set.pieceToggle[index];})
+            : toggledPieces(set.pieceToggle));
+        for (var t = 0; t < toggled.length; t++) {
+            process(toggled[t]);
+            nb++;
+
+            if (nb >= max) break;
+        }
+        ondone(nb);
+    }
+}
+
+/**
+ * Draw a piece into a PDF document in the active render theme.
+ *
+ *  @param piece        The piece data.
+ *  @param pdf          jsPDF document.
+ *  @param scale        Scaling factor.
+ *  @param offX, offY   Position of top-left corner.
+ */
+function drawPDF(piece, pdf, scale, offX, offY) {
+    // Line width & color. Use same for shims and bbox.
+    var strokeWidth = renderTheme.strokeWidth || 0.1;
+    pdf.setLineWidth(strokeWidth*scale);
+    pdf.setDrawColor.apply(pdf, colorToRGB(renderTheme.stroke));
+    
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        var fill = themeFill(iSlot);
+        if (fill) pdf.setFillColor.apply(pdf, colorToRGB(fill));
+        var style = fill ? (renderTheme.strokeWidth ? 'FD' : 'F') : 'D';
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            var shim = slot.shims[iShim];
+            var lines = Array();
+            for (var i = 0; i < shim.length; i++) {
+                lines.push([
+                    shim[(i+1)%shim.length].x-shim[i].x,
+                    shim[(i+1)%shim.length].y-shim[i].y
+                ]);
+            }
+            pdf.lines(
+                lines,
+                shim[0].x*scale+offX, shim[0].y*scale+offY,
+                [scale, scale],
+                style
+            );
+            
+            if (renderTheme.grain) {
+                // Wood grain, then restore outline settings.
+                pdf.setDrawColor.apply(pdf, colorToRGB(themeGrainColor(iSlot)));
+                pdf.setLineWidth(GRAIN_SPACING/4*scale);
+                var grain = grainLines(shim);
+                for (var i = 0; i < grain.length; i++) {
+                    pdf.line(grain[i].x*scale+offX, grain[i].y*scale+offY, grain[i].x*scale+offX, grain[i].y2*scale+offY);
+                }
+                pdf.setDrawColor.apply(pdf, colorToRGB(renderTheme.stroke));
+                pdf.setLineWidth(strokeWidth*scale);
+            }
+        }
+    }
+    if (renderTheme.bbox) {
+        pdf.rect(
+            piece.bbox.x*scale+offX, piece.bbox.y*scale+offY, 
+            (piece.bbox.x2-piece.bbox.x)*scale, (piece.bbox.y2-piece.bbox.y)*scale, 
+            'D'
+        );
+    }
+    
+    // Restore default colors.
+    pdf.setDrawColor(0, 0, 0);
+    pdf.setFillColor(0, 0, 0);
+}
+
+/**
+ * Generate an assembly sheet for a single piece: the piece drawing with
+ * numbered slots and dimensioned negative spaces, and a table giving for each
+ * slot the number of shims, orientation, offset from the left edge and width.
+ * Dimensions are given in the units of the active geometry profile.
+ *
+ *  @param piece        The piece data.
+ *  @param options      Sheet options:
+ *                      - orient        Orientation ('portrait', 'landscape').
+ *                      - format        Page format ('a3', 'a4','a5' ,'letter' ,'legal').
+ *                      - labelFormat   Piece S/N label format ('sn', 'notation', 'both').
+ *                      - compo         Composition string (optional).
+ *
+ *  @return jsPDF document.
+ */
+function pieceToAssemblyPDF(piece, options) {
+    var fontSizePt = 10; /* pt */
+    var margin = 36; /* pt */
+    var pdf = new jsPDF(options.orient, 'pt', options.format);
+    var pageWidth = pdf.internal.pageSize.width;
+    var fontSize = fontSizePt;
+    var lineHeight = fontSize * 1.5;
+    
+    // Dimension formatting.
+    var unit = (geometry.unit == 'ratio' ? "" : " " + geometry.unit);
+    var dimension = function(value) {
+        return parseFloat((value * geometry.thickness).toFixed(3)) + unit;
+    };
+    
+    // Title.
+    var y = margin + fontSize;
+    pdf.setFontSize(fontSize*1.4);
+    pdf.setFontType('bold');
+    pdf.text(margin, y, "Assembly sheet - " + pieceLabel(piece.sn, options.labelFormat || 'both'));
+    pdf.setFontSize(fontSize);
+    pdf.setFontType('normal');
+    y += lineHeight;
+    var info = Array();
+    if (options.compo) info.push("Composition " + options.compo);
+    info.push(piece.slots.length + " slots");
+    info.push("Width " + dimension(piece.bbox.x2-piece.bbox.x));
+    info.push("Height " + dimension(piece.bbox.y2-piece.bbox.y));
+    info.push("Negative space " + dimension(negativeSpace));
+    pdf.text(margin, y, info.join(", "));
+    y += lineHeight*2;
+    
+    // Piece drawing, with room for slot numbers above and dimensions below.
+    var width = pageWidth - 2*margin;
+    var scale = Math.min(
+        width / (piece.bbox.x2-piece.bbox.x),
+        (pdf.internal.pageSize.height/2 - y - lineHeight*4) / (piece.bbox.y2-piece.bbox.y)
+    );
+    var realSize = baseUnitSize('pt');
+    if (realSize && realSize < scale) {
+        // Real size fits.
+        scale = realSize;
+    }
+    pdf.text(margin, y, realSize ? (scale == realSize ? "Scale 1:1" : "Scale 1:" + parseFloat((realSize/scale).toFixed(2))) : "Not to scale");
+    y += lineHeight*2;
+    var offX = margin - piece.bbox.x*scale;
+    var offY = y + lineHeight*2 - piece.bbox.y*scale;
+    drawPDF(piece, pdf, scale, offX, offY);
+    
+    // Slot numbers.
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        var label = String(iSlot+1);
+        var cx = offX + (slot.x+slot.x2)/2*scale;
+        var cy = offY + piece.bbox.y*scale - lineHeight*1.5;
+        pdf.setLineWidth(0.5);
+        pdf.circle(cx, cy, fontSize*0.7, 'D');
+        pdf.text(cx - pdf.getStringUnitWidth(label)*fontSize/2, cy + fontSize*0.35, label);
+    }
+    
+    // Negative space dimensions, on the tip side of each slot.
+    var arrow = fontSize*0.3;
+    for (var iSlot = 1; iSlot < piece.slots.length; iSlot++) {
+        var gap = piece.slots[iSlot].gap;
+        var x1 = offX + gap.x*scale, x2 = offX + gap.x2*scale;
+        var gy = offY + gap.y*scale;
+        var dy = (gap.y > (piece.bbox.y+piece.bbox.y2)/2 ? 1 : -1) * lineHeight * 0.5;
+        pdf.setLineWidth(0.25);
+        pdf.line(x1, gy, x1, gy+dy*1.5);
+        pdf.line(x2, gy, x2, gy+dy*1.5);
+        pdf.line(x1, gy+dy, x2, gy+dy);
+        pdf.triangle(x1, gy+dy, x1+arrow, gy+dy-arrow/2, x1+arrow, gy+dy+arrow/2, 'F');
+        pdf.triangle(x2, gy+dy, x2-arrow, gy+dy-arrow/2, x2-arrow, gy+dy+arrow/2, 'F');
+        var text = dimension(gap.x2-gap.x);
+        pdf.setFontSize(fontSize*0.7);
+        pdf.text((x1+x2)/2 - pdf.getStringUnitWidth(text)*fontSize*0.7/2, gy + dy*(dy > 0 ? 2.6 : 1.6), text);
+        pdf.setFontSize(fontSize);
+    }
+    
+    // Slot table.
+    y = offY + piece.bbox.y2*scale + lineHeight*3;
+    var columns = [0, 0.1, 0.25, 0.45, 0.65, 0.85];
+    var row = function(cells) {
+        for (var c = 0; c < cells.length; c++) {
+            pdf.text(margin + width*columns[c], y, String(cells[c]));
+        }
+        y += lineHeight;
+        if (y > pdf.internal.pageSize.height - margin) {
+            pdf.addPage();
+            y = margin + fontSize;
+        }
+    };
+    pdf.setFontType('bold');
+    row(["Slot", "Shims", "Orientation", "Offset from left", "Width", "Gap from previous"]);
+    pdf.setFontType('normal');
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        row([
+            iSlot+1,
+            slot.shims.length + (slot.repeat > 1 ? " (" + slot.repeat + " x " + slot.nbShims + ")" : ""),
+            (slot.upward > 0 ? "Up" : "Down"),
+            dimension(slot.x - piece.bbox.x),
+            dimension(slot.x2 - slot.x),
+            (slot.gap ? dimension(slot.gap.x2 - slot.gap.x) : "-")
+        ]);
+    }
+    
+    return pdf;
+}
+
+/**
+ * Add an outline (bookmarks) to a PDF document. jsPDF has no outline support,
+ * so outline objects are written along with the document resources and 
+ * referenced from the catalog. Entries can be added until the document is
+ * output.
+ *
+ *  @param pdf          jsPDF object.
+ *  @param outline      Array of outline entries {title, page}, with 1-based page
+ *                      numbers within the document.
+ */
+function pdfOutline(pdf, outline) {
+    var root;
+    pdf.internal.events.subscribe('postPutResources', function() {
+        if (!outline.length) return;
+        var write = pdf.internal.write;
+        
+        // Root, then entries as consecutive objects. Page n is object 1+2n.
+        root = pdf.internal.newObject();
+        write("<</Type /Outlines /First " + (root+1) + " 0 R /Last " + (root+outline.length) + " 0 R /Count " + outline.length + ">>");
+        write("endobj");
+        for (var i = 0; i < outline.length; i++) {
+            var entry = pdf.internal.newObject();
+            write("<</Title (" + pdf.internal.pdfEscape(outline[i].title) + ") /Parent " + root + " 0 R"
+                + (i > 0 ? " /Prev " + (entry-1) + " 0 R" : "")
+                + (i < outline.length-1 ? " /Next " + (entry+1) + " 0 R" : "")
+                + " /Dest [" + (1+2*outline[i].page) + " 0 R /Fit]>>");
+            write("endobj");
+        }
+    });
+    pdf.internal.events.subscribe('putCatalog', function() {
+        if (!outline.length) return;
+        pdf.internal.write("/Outlines " + root + " 0 R");
+        pdf.internal.write("/PageMode /UseOutlines");
+    });
+}
+
+/**
+ * Generate a multi-page PDF from a set of pieces.
+ *
+ *
+ *  @param set              Piece set:
+ *                          - x, y, z   Handles.
+ *                          - seed      Permutation seed.
+ *                          - g         LCG parameters from lcg_params().
+ *                          - order     Ordering strategy name.
+ *                          - nbPieces  Number of pieces in set (BigInt).
+ *                          - first     Index of first piece (optional, default 0).
+ *                          - filter    Indices of pieces matching a filter, in
+ *                                      output order (optional), see
+ *                                      filterIndices() and sortIndices().
+ *                          - defaultSelected   Default selection state.
+ *                          - pieceToggle       Piecewise selection toggle state.
+ *                          - nbSelected        Number of selected pieces (BigInt).
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *  @param printOptions     Print options:
+ *                          - orient    Orientation ('portrait', 'landscape').
+ *                          - format    Page format ('a3', 'a4','a5' ,'letter' ,'legal').
+ *                          - sides     Print mode ('single', 'double')
+ *                          - margins   Margins in unit values {top, bottom, left, right}
+ *                          - padding   Padding between pieces in unit values
+ *                          - unit      Base measurement unit ('mm', 'cm', 'in', 'pt')
+ *                          - justif    Justification ('left', 'center', 'right')
+ *                          - cols      Minimum number of columns per page.
+ *                          - rows      Minimum number of rows per page.
+ *                          - compoPos  Composition number position ('none', 'header','footer').
+ *                          - pageNbPos Page number position ('none', 'header','footer').
+ *                          - labelPos  Piece S/N label position ('none', 'top','bottom').
+ *                          - labelFormat Piece S/N label format ('sn', 'notation', 'both').
+ *                          - realSize  Whether to print pieces at real size, see
+ *                                      baseUnitSize(). Pieces larger than the
+ *                                      page are tiled over several pages.
+ *                          - overlap   Overlap between tiles in unit values.
+ *                          - bom       Whether to append a bill of materials,
+ *                                      see newBOM().
+ *                          - index     Whether to add an index section: an
+ *                                      unnumbered cover page with composition,
+ *                                      options and counts at the start of the 
+ *                                      first document, a contact sheet and a 
+ *                                      sorted S/N to page lookup table appended
+ *                                      to the last document, and an outline in
+ *                                      each document with the S/N range of its
+ *                                      pages.
+ *  @param limits           Output limits:
+ *                          - maxPieces        Maximum overall number of pieces to print.
+ *                          - maxPiecesPerDoc  Maximum number of pieces per document.
+ *                          - maxPagesPerDoc   Maximum number of pages per document.
+ *  @param save             Output callback, called with args (data, fileName, mimeType).
+ *  @param onprogress       Progress callback, called with args (nb, nbPrint, page, nbPages, doc, nbDocs).
+ *  @param onfinish         Finish callback.
+ */
+function piecesToPDF(set, pieceOptions, printOptions, limits, save, onprogress, onfinish) {
+    var fontSizePt = 10; /* pt */
+    
+    // Create jsPDF object.
+    var pdf = new jsPDF(printOptions.orient, printOptions.unit, printOptions.format);
+    var onePt = 1 / pdf.internal.scaleFactor;
+    pdf.setFontSize(fontSizePt);
+    var fontSizeUnit = fontSizePt * onePt;
+    
+    // Outer size of the page, i.e. full size minus margins.
+    var outerWidth = 
+          pdf.internal.pageSize.width 
+        - (printOptions.margins.left+printOptions.margins.right);   // Horizontal margins.
+    var outerHeight =
+          pdf.internal.pageSize.height
+        - (printOptions.margins.top+printOptions.margins.bottom);    // Vertical margins.
+        
+    // Inner size of the page, i.e. outer size minus header and footer.
+    var header = (printOptions.compoPos == 'top' || printOptions.pageNbPos == 'top');
+    var footer = (printOptions.compoPos == 'bottom' || printOptions.pageNbPos == 'bottom');
+    var innerWidth = outerWidth;
+    var innerHeight =
+          outerHeight
+        - (header ? fontSizeUnit+printOptions.padding : 0)          // Header.
+        - (footer ? fontSizeUnit+printOptions.padding : 0);         // Footer.
+        
+    // Compute scaling and actual number of rows/cols.
+    var maxSize = maxPieceSize(set.x, set.y, set.z);
+    var maxWidth = maxSize.width, maxHeight = maxSize.height;
+    var availWidth = innerWidth - printOptions.padding*(printOptions.cols-1);
+    var availHeight = innerHeight - printOptions.padding*(printOptions.rows-1);
+    var pieceWidth = availWidth / printOptions.cols;
+    var pieceHeight = availHeight / printOptions.rows - (printOptions.labelPos == 'none' ? 0 : fontSizeUnit);
+    var scale = (printOptions.realSize && baseUnitSize(printOptions.unit)) || Math.min(pieceWidth/maxWidth, pieceHeight/maxHeight);
+    pieceWidth = maxWidth*scale;
+    pieceHeight = maxHeight*scale + (printOptions.labelPos == 'none' ? 0 : fontSizeUnit);
+    printOptions.cols = Math.floor((innerWidth + printOptions.padding) / (pieceWidth + printOptions.padding));
+    printOptions.rows = Math.floor((innerHeight + printOptions.padding) / (pieceHeight + printOptions.padding));
+    
+    // Real size pieces that don't fit on a page are tiled over several pages,
+    // one piece at a time.
+    var tiled = (printOptions.cols < 1 || printOptions.rows < 1);
+    var tileWidth = innerWidth;
+    var tileHeight = innerHeight - (printOptions.labelPos == 'none' ? 0 : fontSizeUnit);
+    var overlap = Math.max(0, Math.min(printOptions.overlap || 0, tileWidth/2, tileHeight/2));
+    var nbTiles = function(size, tileSize) {
+        return Math.max(1, Math.ceil((size - overlap) / (tileSize - overlap)));
+    };
+    
+    // Max number of pieces per page.
+    var nbPiecesPerPage = printOptions.cols*printOptions.rows;
+    
+    // Actual number of pieces.
+    var nbPrint = Number(set.nbSelected < limits.maxPieces ? set.nbSelected : limits.maxPieces);
+    
+    if (tiled) {
+        // Max number of pages per piece.
+        var nbPagesPerPiece = nbTiles(maxWidth*scale, tileWidth) * nbTiles(maxHeight*scale, tileHeight);
+        
+        // Actual number of pieces per document.
+        var nbPiecesPerDoc = Math.min(limits.maxPiecesPerDoc, Math.max(1, Math.floor(limits.maxPagesPerDoc/nbPagesPerPiece)));
+        
+        // Max number of pages overall.
+        var nbPages = nbPrint*nbPagesPerPiece;
+        
+        // Actual number of docs.
+        var nbDocs = Math.ceil(nbPrint/nbPiecesPerDoc);
+    } else {
+        // Actual number of pages per document.
+        var nbPagesPerDoc = Math.min(Math.ceil(limits.maxPiecesPerDoc/nbPiecesPerPage), limits.maxPagesPerDoc);
+        
+        // Actual number of pages overall.
+        var nbPages = Math.ceil(nbPrint/nbPiecesPerPage);
+        
+        // Actual number of docs.
+        var nbDocs = Math.ceil(nbPages/nbPagesPerDoc);
+    }
+    
+    // Variables for output.
+    var col = 0, row = 0, nb = 0, page = 1, firstPage = 1, doc = 1;
+    var bom = printOptions.bom ? newBOM() : undefined;
+    
+    // Index of printed pieces {sn, label, page}, outline of current document.
+    // The cover has a blank back in double-sided mode.
+    var index = printOptions.index ? Array() : undefined;
+    var nbCoverPages = (index ? (printOptions.sides == 'double' ? 2 : 1) : 0);
+    var outline = Array(), outlinePage, outlineFirst;
+    if (index) pdfOutline(pdf, outline);
+    
+    // Function for header/footer output.
+    var compo = composition(set.x, set.y, set.z, set.seed);
+    var compoWidth = pdf.getStringUnitWidth(compo) * fontSizeUnit;
+    var headerFooter = function() {
+        // DEBUG
+        // pdf.rect(
+            // printOptions.margins.left, printOptions.margins.top,
+            // outerWidth, outerHeight,
+            // 'D'
+        // );
+        // pdf.rect(
+            // printOptions.margins.left, printOptions.margins.top + (header ? fontSizeUnit + printOptions.padding : 0),
+            // innerWidth, innerHeight,
+            // 'D'
+        // );
+        
+        var compoX, compoY, compoJustif;
+        var pageNbX, pageNbY, pageNbJustif;
+        var pagNbWidth = pdf.getStringUnitWidth(page.toString()) * fontSizeUnit;
+        
+        // Horizontal positions.
+        if (printOptions.pageNbPos == printOptions.compoPos && printOptions.compoPos != 'none') {   
+            // Composition and page number side-by-side.
+            switch (printOptions.justif) {
+                case 'center':
+                    // Page number on right/outside.
+                    if (printOptions.sides == 'double' && (page % 2) == 0) {
+                        compoJustif = 'right';
+                        pageNbJustif = 'left';
+                    } else {
+                        compoJustif = 'left';
+                        pageNbJustif = 'right';
+                    }
+                    break;
+                
+                case 'left': 
+                    // Composition on left.
+                    compoJustif = 'left';
+                    pageNbJustif = 'right';
+                    break;
+                    
+                case 'right': 
+                    // Composition on right.
+                    compoJustif = 'right';
+                    pageNbJustif = 'left';
+                    break;
+            }
+        } else {
+            compoJustif = pageNbJustif = printOptions.justif;
+        }
+        switch (compoJustif) {
+            case 'center':
+                compoX = printOptions.margins.left + (innerWidth - compoWidth)/2;
+                break;
+                
+            case 'left':
+                compoX = printOptions.margins.left;
+                break;
+                
+            case 'right':
+                compoX = printOptions.margins.left + (innerWidth - compoWidth);
+                break;
+        }
+        switch (pageNbJustif) {
+            case 'center':
+                pageNbX = printOptions.margins.left + (innerWidth - pagNbWidth)/2;
+                break;
+                
+            case 'left':
+                pageNbX = printOptions.margins.left;
+                break;
+                
+            case 'right':
+                pageNbX = printOptions.margins.left + (innerWidth - pagNbWidth);
+                break;
+        }
+        
+        // Output composition number.
+        switch (printOptions.compoPos) {
+            case 'top':
+                compoY = printOptions.margins.top + fontSizeUnit - onePt;
+                pdf.text(compoX, compoY, compo);
+                break;
+            case 'bottom':
+                compoY = pdf.internal.pageSize.height - printOptions.margins.bottom;
+                pdf.text(compoX, compoY, compo);
+                break;
+        }
+        
+        // Output page number.
+        switch (printOptions.pageNbPos) {
+            case 'top':
+                pageNbY = printOptions.margins.top + fontSizeUnit - onePt;
+                pdf.text(pageNbX, pageNbY, page.toString());
+                break;
+            case 'bottom':
+                pageNbY = pdf.internal.pageSize.height - printOptions.margins.bottom;
+                pdf.text(pageNbX, pageNbY, page.toString());
+                break;
+        }
+    };
+    
+    // Function for drawing a piece given its index.
+    var draw = function(i) {
+        // Next column.
+        if (nb > 0 && ++col >= printOptions.cols) {
+            // Next row.
+            col = 0;
+            if (++row >= printOptions.rows) {
+                // Next page.
+                row = 0;
+                if ((page % nbPagesPerDoc) == 0) {
+                    // Next doc.
+                    saveDoc();
+                    pdf = new jsPDF(printOptions.orient, printOptions.unit, printOptions.format);
+                    pdf.setFontSize(fontSizePt);
+                    page++;
+                    firstPage = page;
+                    outline = Array();
+                    if (index) pdfOutline(pdf, outline);
+                } else {
+                    pdf.addPage();
+                    page++;
+                }
+                
+                // Invert justification on even pages in double-sided mode.
+                if (printOptions.sides == 'double') {
+                    switch (printOptions.justif) {
+                        case 'left': printOptions.justif = 'right'; break; 
+                        case 'right': printOptions.justif = 'left'; break; 
+                    }
+                }
+                headerFooter();
+            }
+        }
+        
+        // Compute piece/
+        var sn = generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+        var piece = computePiece(sn, pieceOptions);
+        if (bom) addPieceToBOM(bom, i, piece);
+        if (index) indexPiece(sn);
+
+        var label = pieceLabel(sn, printOptions.labelFormat);
+        var labelWidth = pdf.getStringUnitWidth(label) * fontSizeUnit;
+
+        // Offset in gridded layout.
+        var offX = printOptions.margins.left + (pieceWidth + printOptions.padding) * col;
+        var offY = printOptions.margins.top + (header ? fontSizeUnit + printOptions.padding : 0) + (pieceHeight + printOptions.padding) * row;
+        
+        // Justification.
+        var labelX = offX;
+        var shiftRight = innerWidth - (pieceWidth * printOptions.cols) - (printOptions.padding * (printOptions.cols - 1));
+
+        // DEBUG
+        // switch (printOptions.justif) {
+            // case 'left':   pdf.rect(offX, offY, pieceWidth, pieceHeight, 'D'); break;
+            // case 'center': pdf.rect(offX+shiftRight/2, offY, pieceWidth, pieceHeight, 'D'); break;
+            // case 'right':  pdf.rect(offX+shiftRight, offY, pieceWidth, pieceHeight, 'D'); break;
+        // }
+        // switch (printOptions.justif) {
+            // case 'center':
+                // offX += (pieceWidth - (piece.bbox.x2-piece.bbox.x)*scale + shiftRight)/2;
+                // labelX += (pieceWidth - labelWidth + shiftRight)/2;
+                // break;
+                
+            // case 'right':
+                // offX += (pieceWidth - (piece.bbox.x2-piece.bbox.x)*scale + shiftRight);
+                // labelX += (pieceWidth - labelWidth + shiftRight);
+                // break;
+        // }
+        
+        switch (printOptions.labelPos) {
+            case 'top':
+                pdf.text(labelX, offY + fontSizeUnit - onePt*2, label);
+                offY += fontSizeUnit;
+                break;
+            case 'bottom':
+                pdf.text(labelX, offY + pieceHeight, label);
+                break;
+        }
+        drawPDF(piece, pdf, scale, offX, offY);
+        nb++;
+    }
+    
+    // Function for drawing a piece given its index, tiled over several pages.
+    var drawTiled = function(i) {
+        // Next page.
+        if (nb > 0) {
+            if ((nb % nbPiecesPerDoc) == 0) {
+                // Next doc.
+                saveDoc();
+                pdf = new jsPDF(printOptions.orient, printOptions.unit, printOptions.format);
+                pdf.setFontSize(fontSizePt);
+                page++;
+                firstPage = page;
+                outline = Array();
+                if (index) pdfOutline(pdf, outline);
+            } else {
+                pdf.addPage();
+                page++;
+            }
+        }
+        
+        // Compute piece.
+        var sn = generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+        var piece = computePiece(sn, pieceOptions);
+        if (bom) addPieceToBOM(bom, i, piece);
+        if (index) indexPiece(sn);
+        var label = pieceLabel(sn, printOptions.labelFormat);
+        
+        // Tile area.
+        var left = printOptions.margins.left;
+        var top = printOptions.margins.top + (header ? fontSizeUnit + printOptions.padding : 0) + (printOptions.labelPos == 'top' ? fontSizeUnit : 0);
+        var pageWidth = pdf.internal.pageSize.width;
+        var pageHeight = pdf.internal.pageSize.height;
+        
+        var nbX = nbTiles((piece.bbox.x2-piece.bbox.x)*scale, tileWidth);
+        var nbY = nbTiles((piece.bbox.y2-piece.bbox.y)*scale, tileHeight);
+        for (var tileY = 0; tileY < nbY; tileY++) {
+            for (var tileX = 0; tileX < nbX; tileX++) {
+                if (tileX > 0 || tileY > 0) {
+                    pdf.addPage();
+                    page++;
+                }
+                
+                drawPDF(piece, pdf, scale,
+                    left - piece.bbox.x*scale - tileX*(tileWidth-overlap),
+                    top - piece.bbox.y*scale - tileY*(tileHeight-overlap)
+                );
+                
+                // jsPDF has no clipping, mask everything outside the tile area.
+                pdf.setFillColor(255, 255, 255);
+                pdf.rect(0, 0, pageWidth, top, 'F');
+                pdf.rect(0, top+tileHeight, pageWidth, pageHeight-top-tileHeight, 'F');
+                pdf.rect(0, top, left, tileHeight, 'F');
+                pdf.rect(left+tileWidth, top, pageWidth-left-tileWidth, tileHeight, 'F');
+                
+                if (nbX > 1 || nbY > 1) {
+                    // Registration marks at the center of the overlapping
+                    // areas, so that they match on adjacent tiles.
+                    pdf.setLineWidth(onePt/2);
+                    var radius = Math.max(2*onePt, Math.min(overlap/4, 4*onePt));
+                    var marksX = [left + overlap/2, left + tileWidth - overlap/2];
+                    var marksY = [top + overlap/2, top + tileHeight - overlap/2];
+                    for (var mx = 0; mx < marksX.length; mx++) {
+                        for (var my = 0; my < marksY.length; my++) {
+                            pdf.circle(marksX[mx], marksY[my], radius, 'D');
+                            pdf.line(marksX[mx]-radius*2, marksY[my], marksX[mx]+radius*2, marksY[my]);
+                            pdf.line(marksX[mx], marksY[my]-radius*2, marksX[mx], marksY[my]+radius*2);
+                        }
+                    }
+                    
+                    // Tile position.
+                    label = pieceLabel(sn, printOptions.labelFormat) + " - row " + (tileY+1) + "/" + nbY + ", column " + (tileX+1) + "/" + nbX;
+                }
+                
+                switch (printOptions.labelPos) {
+                    case 'top':
+                        pdf.text(left, top - onePt*2, label);
+                        break;
+                    case 'bottom':
+                        pdf.text(left, top + tileHeight + fontSizeUnit - onePt*2, label);
+                        break;
+                }
+                headerFooter();
+            }
+        }
+        nb++;
+    }
+    
+    // Function for bill of materials appendix output, on new pages.
+    var drawBOM = function() {
+        var lineHeight = fontSizeUnit * 1.5;
+        var top = printOptions.margins.top + (header ? fontSizeUnit + printOptions.padding : 0);
+        var bottom = top + innerHeight;
+        var left = printOptions.margins.left;
+        var unit = (bom.unit == 'ratio' ? "" : " (" + bom.unit + ")");
+        var columns = [
+            {title: "S/N",          width: 0.34, value: function(row) {return pieceLabel(row.sn, printOptions.labelFormat);}},
+            {title: "Shims/slot",   width: 0.24, value: function(row) {return row.shims.join(" ");}},
+            {title: "Shims",        width: 0.08, value: function(row) {return row.nbShims;}},
+            {title: "Orient.",      width: 0.14, value: function(row) {return row.orientation;}},
+            {title: "W x H" + unit, width: 0.20, value: function(row) {return row.width.toFixed(1) + " x " + row.height.toFixed(1);}},
+        ];
+        var y;
+        var newPage = function(title) {
+            pdf.addPage();
+            page++;
+            headerFooter();
+            y = top + fontSizeUnit;
+            pdf.setFontType('bold');
+            pdf.text(left, y, title);
+            y += lineHeight;
+            pdf.setFontType('normal');
+        };
+        var line = function(cells) {
+            if (y > bottom) newPage("Bill of Materials (continued)");
+            var x = left;
+            for (var c = 0; c < cells.length; c++) {
+                pdf.text(x, y, String(cells[c]));
+                x += innerWidth * columns[c].width;
+            }
+            y += lineHeight;
+        };
+        
+        // Piece rows.
+        newPage("Bill of Materials");
+        line(columns.map(function(column) {return column.title;}));
+        for (var i = 0; i < bom.rows.length; i++) {
+            line(columns.map(function(column) {return column.value(bom.rows[i]);}));
+        }
+        
+        // Totals & cut list.
+        y += lineHeight;
+        line(["Total: " + bom.nbPieces + " pieces", bom.nbSlots + " slots", bom.nbShims]);
+        line(["Total width" + unit, bom.width.toFixed(1)]);
+        line(["Footprint" + (bom.unit == 'ratio' ? "" : " (" + bom.unit + "2)"), bom.footprint.toFixed(1)]);
+        y += lineHeight;
+        line(["Cut list", "Shim units"]);
+        for (var nbShims in bom.units) {
+            line([nbShims + " shim" + (nbShims > 1 ? "s" : ""), bom.units[nbShims]]);
+        }
+    }
+    
+    // Page number within the current document, cover pages are unnumbered.
+    var docPage = function() {
+        return page - firstPage + 1 + (doc == 1 ? nbCoverPages : 0);
+    };
+    
+    // Function for recording a piece on the current page in the index and
+    // outline.
+    var indexPiece = function(sn) {
+        var label = pieceLabel(sn, printOptions.labelFormat);
+        index.push({sn: sn, label: label, page: page});
+        if (page != outlinePage) {
+            outlinePage = page;
+            outlineFirst = label;
+            outline.push({page: docPage()});
+        }
+        outline[outline.length-1].title = "Page " + page + ": " + outlineFirst + (label != outlineFirst ? " to " + label : "");
+    };
+    
+    // Function for cover page output, on the current page.
+    var drawCover = function() {
+        var left = printOptions.margins.left;
+        var y = printOptions.margins.top + fontSizeUnit*2;
+        var lineHeight = fontSizeUnit * 1.5;
+        pdf.setFontSize(fontSizePt*2);
+        pdf.setFontType('bold');
+        pdf.text(left, y, compo);
+        pdf.setFontSize(fontSizePt);
+        pdf.setFontType('normal');
+        y += lineHeight*2;
+        
+        var options = Array();
+        if (pieceOptions.cropped) options.push("cropped");
+        if (pieceOptions.trapezoidal) options.push("trapezoidal");
+        if (set.canonical) options.push("canonical pieces only");
+        var lines = [
+            "Handles: shim unit size " + set.x + ", " + set.y + " slots, " + set.z + " sub-units",
+            "Seed: " + set.seed,
+            "Order: " + orderings[set.order].label,
+            "Options: " + (options.length ? options.join(", ") : "none"),
+            "Geometry: length " + geometry.length + ", thickness " + geometry.thickness + ", tip " + geometry.tip + ", negative space " + geometry.negativeSpace + (geometry.unit == 'ratio' ? "" : " " + geometry.unit),
+            "",
+            "Pieces: " + nbPrint + " printed, " + set.nbSelected + " selected" + (set.filter ? " of " + set.filter.length + " matching" : "") + ", " + set.nbPieces + " in set",
+            "Pages: " + (tiled ? "up to " : "") + nbPages + " in " + nbDocs + " document" + (nbDocs > 1 ? "s" : "") + ", " + (tiled ? "real size, tiled" : printOptions.cols + " x " + printOptions.rows + " pieces per page" + (printOptions.realSize ? ", real size" : "")),
+            "Appendices: " + (bom ? "bill of materials, " : "") + "contact sheet, S/N index",
+        ];
+        for (var i = 0; i < lines.length; i++) {
+            pdf.text(left, y, lines[i]);
+            y += lineHeight;
+        }
+    };
+    
+    // Function for index appendix output, on new pages: contact sheet of
+    // thumbnails with their page number, then S/N lookup table.
+    var drawIndex = function() {
+        var lineHeight = fontSizeUnit * 1.5;
+        var top = printOptions.margins.top + (header ? fontSizeUnit + printOptions.padding : 0);
+        var bottom = top + innerHeight;
+        var left = printOptions.margins.left;
+        var newPage = function(title) {
+            pdf.addPage();
+            page++;
+            headerFooter();
+            pdf.setFontType('bold');
+            pdf.text(left, top + fontSizeUnit, title);
+            pdf.setFontType('normal');
+        };
+        
+        // Contact sheet, in print order.
+        var thumbFontPt = fontSizePt*0.6, thumbFontUnit = thumbFontPt*onePt;
+        var thumbCols = 10;
+        var thumbWidth = (innerWidth - printOptions.padding*(thumbCols-1))/thumbCols;
+        var thumbScale = Math.min(thumbWidth/maxWidth, thumbWidth*1.5/maxHeight);
+        var thumbHeight = maxHeight*thumbScale + thumbFontUnit;
+        var thumbTop = top + lineHeight;
+        var thumbRows = Math.max(1, Math.floor((bottom - thumbTop + printOptions.padding) / (thumbHeight + printOptions.padding)));
+        outline.push({title: "Contact Sheet", page: docPage()+1});
+        for (var i = 0; i < index.length; i++) {
+            var cell = i % (thumbCols*thumbRows);
+            if (cell == 0) {
+                newPage("Contact Sheet" + (i > 0 ? " (continued)" : ""));
+                pdf.setFontSize(thumbFontPt);
+            }
+            var piece = computePiece(index[i].sn, pieceOptions);
+            var x = left + (cell % thumbCols)*(thumbWidth + printOptions.padding);
+            var y = thumbTop + Math.floor(cell / thumbCols)*(thumbHeight + printOptions.padding);
+            drawPDF(piece, pdf, thumbScale, 
+                x + (thumbWidth - (piece.bbox.x2-piece.bbox.x)*thumbScale)/2 - piece.bbox.x*thumbScale, 
+                y + (maxHeight - (piece.bbox.y2-piece.bbox.y))*thumbScale - piece.bbox.y*thumbScale
+            );
+            var pageLabel = "p. " + index[i].page;
+            pdf.text(x + (thumbWidth - pdf.getStringUnitWidth(pageLabel)*thumbFontUnit)/2, y + thumbHeight, pageLabel);
+            if (cell == thumbCols*thumbRows-1 || i == index.length-1) {
+                pdf.setFontSize(fontSizePt);
+            }
+        }
+        
+        // S/N lookup table, in columns.
+        var sorted = index.slice().sort(function(a, b) {
+            return (a.sn < b.sn ? -1 : (a.sn > b.sn ? 1 : 0));
+        });
+        var labelWidth = 0, pageWidth = pdf.getStringUnitWidth(page.toString()) * fontSizeUnit;
+        for (var i = 0; i < sorted.length; i++) {
+            labelWidth = Math.max(labelWidth, pdf.getStringUnitWidth(sorted[i].label) * fontSizeUnit);
+        }
+        var columnWidth = labelWidth + fontSizeUnit + pageWidth;
+        var nbColumns = Math.max(1, Math.floor((innerWidth + fontSizeUnit*2) / (columnWidth + fontSizeUnit*2)));
+        var tableTop = top + fontSizeUnit + lineHeight;
+        var nbLines = Math.max(1, Math.floor((bottom - tableTop) / lineHeight) + 1);
+        outline.push({title: "Index", page: docPage()+1});
+        for (var i = 0; i < sorted.length; i++) {
+            var cell = i % (nbColumns*nbLines);
+            if (cell == 0) newPage("Index" + (i > 0 ? " (continued)" : ""));
+            var x = left + Math.floor(cell / nbLines)*(columnWidth + fontSizeUnit*2);
+            var y = tableTop + (cell % nbLines)*lineHeight;
+            var pageLabel = sorted[i].page.toString();
+            pdf.text(x, y, sorted[i].label);
+            pdf.text(x + columnWidth - pdf.getStringUnitWidth(pageLabel)*fontSizeUnit, y, pageLabel);
+        }
+    };
+    
+    // Function for periodic saving.
+    var saveDoc = function() {
+        // Save current PDF document.
+        save(pdf.output(), fileSafe(compo)+"."+firstPage+"-"+page+".pdf", 'application/pdf');
+        onprogress(nb, nbPrint, page, nbPages, doc, nbDocs);
+        doc++;
+    }
+    
+    
+    //
+    // Now output all pieces!
+    //
+    
+    // Cover page.
+    if (index) {
+        drawCover();
+        outline.push({title: "Cover", page: 1});
+        for (var i = 0; i < nbCoverPages; i++) pdf.addPage();
+    }
+    
+    // First page header.
+    if (!tiled) headerFooter();
+    forEachSelected(set, nbPrint, (tiled ? drawTiled : draw), 
+        function() {
+            onprogress(nb, nbPrint, page, nbPages, doc, nbDocs);
+        },
+        function() {
+            if (bom) {
+                if (index) outline.push({title: "Bill of Materials", page: docPage()+1});
+                drawBOM();
+            }
+            if (index) drawIndex();
+            saveDoc();
+            setTimeout(onfinish, 0);
+        }
+    );
+}
+
+/**
+ * Generate a Zip archive of SVG, DXF or raster files from a set of pieces.
+ *
+ *  @param set              Piece set, see piecesToPDF().
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *  @param zipOptions       Output options:
+ *                          - format        File format ('svg', 'dxf', 'raster', default 'svg').
+ *                          - nameFormat    File name format ('sn', 'notation').
+ *                          - unit          Unit for real size output, see pieceToSVG()
+ *                                          and pieceToDXF() (optional).
+ *                          - raster        Raster options for 'raster' format, see 
+ *                                          pieceToRaster(). Pieces whose image size
+ *                                          is invalid are skipped.
+ *  @param limits           Output limits:
+ *                          - maxPieces        Maximum overall number of pieces to export.
+ *                          - maxPiecesPerZip  Maximum number of pieces per Zip file.
+ *  @param save             Output callback, called with args (data, fileName, mimeType).
+ *  @param onprogress       Progress callback, called with args (nb, nbPrint, page, nbPages, doc, nbDocs).
+ *  @param onfinish         Finish callback.
+ */
+function piecesToZip(set, pieceOptions, zipOptions, limits, save, onprogress, onfinish) {
+    // Create JSZip object.
+    var zip = new JSZip();
+    
+    // Actual number of pieces.
+    var nbOutput = Number(set.nbSelected < limits.maxPieces ? set.nbSelected : limits.maxPieces);
+    
+    // Actual number of Zip files.
+    var nbFiles = Math.ceil(nbOutput/limits.maxPiecesPerZip);
+    
+    // Output each piece as SVG/DXF/raster file.
+    var nb = 0, file = 1;
+    var generateFile = function(i) {
+        if (nb > 0 && (nb % limits.maxPiecesPerZip) == 0) {
+            // Next file.
+            saveZip();
+            zip = new JSZip();
+        }
+        
+        // Compute piece.
+        var sn = generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+        var piece = computePiece(sn, pieceOptions);
+        
+        // Add SVG/DXF/raster to Zip file.
+        if (zipOptions.format == 'dxf') {
+            zip.file(pieceFileName(sn, zipOptions.nameFormat) + ".dxf", pieceToDXF(piece, zipOptions.unit));
+        } else if (zipOptions.format == 'raster') {
+            var image = pieceToRaster(piece, zipOptions.raster);
+            if (image) zip.file(pieceFileName(sn, zipOptions.nameFormat) + "." + rasterFormats[zipOptions.raster.format].extension, image);
+        } else {
+            zip.file(pieceFileName(sn, zipOptions.nameFormat) + ".svg", pieceToSVG(piece, zipOptions.unit));
+        }
+        nb++;
+    }
+    var saveZip = function() {
+        save(zip.generate({type: 'uint8array', compression: 'DEFLATE'}), fileSafe(composition(set.x, set.y, set.z, set.seed))+((nbFiles > 1) ? "."+file : "")+".zip", 'application/zip');
+        onprogress(nb, nbOutput, undefined, undefined, file, nbFiles);
+        file++;
+    }
+    
+    forEachSelected(set, nbOutput, generateFile,
+        function() {
+            onprogress(nb, nbOutput, undefined, undefined, file, nbFiles);
+        },
+        function() {
+            saveZip();
+            setTimeout(onfinish, 0);
+        }
+    );
+}
+
+/**
+ * Translate a piece.
+ *
+ *  @param piece    The piece data.
+ *  @param dx       X offset.
+ *  @param dy       Y offset.
+ *
+ *  @return translated copy of the piece.
+ */
+function translatePiece(piece, dx, dy) {
+    var translate = function(p) {return {x: p.x+dx, y: p.y+dy};};
+    return {
+        sn: piece.sn,
+        slots: piece.slots.map(function(slot) {
+            return {shims: slot.shims.map(function(shim) {return shim.map(translate);})};
+        }),
+        bbox: {x: piece.bbox.x+dx, y: piece.bbox.y+dy, x2: piece.bbox.x2+dx, y2: piece.bbox.y2+dy}
+    };
+}
+
+/**
+ * Interpolate between two pieces with the same number of slots. Slots with
+ * fewer shims are padded by repeating their last shim, and shims with fewer
+ * points by repeating their last point, so that each shim of the first piece
+ * morphs into a shim of the second.
+ *
+ *  @param a        First piece.
+ *  @param b        Second piece.
+ *  @param t        Interpolation factor, from 0 (a) to 1 (b).
+ *
+ *  @return interpolated piece, or undefined if slot counts differ.
+ */
+function morphPieces(a, b, t) {
+    if (a.slots.length != b.slots.length) return;
+    var mix = function(u, v) {return u + (v-u)*t;};
+    var slots = Array();
+    for (var iSlot = 0; iSlot < a.slots.length; iSlot++) {
+        var shimsA = a.slots[iSlot].shims, shimsB = b.slots[iSlot].shims;
+        var shims = Array();
+        for (var iShim = 0; iShim < Math.max(shimsA.length, shimsB.length); iShim++) {
+            var shimA = shimsA[Math.min(iShim, shimsA.length-1)], shimB = shimsB[Math.min(iShim, shimsB.length-1)];
+            var shim = Array();
+            for (var i = 0; i < Math.max(shimA.length, shimB.length); i++) {
+                var pA = shimA[Math.min(i, shimA.length-1)], pB = shimB[Math.min(i, shimB.length-1)];
+                shim.push({x: mix(pA.x, pB.x), y: mix(pA.y, pB.y)});
+            }
+            shims.push(shim);
+        }
+        slots.push({shims: shims});
+    }
+    return {
+        slots: slots,
+        bbox: {x: mix(a.bbox.x, b.bbox.x), y: mix(a.bbox.y, b.bbox.y), x2: mix(a.bbox.x2, b.bbox.x2), y2: mix(a.bbox.y2, b.bbox.y2)}
+    };
+}
+
+/**
+ * Lay out the frames of an animation at a common scale: each piece is centered
+ * in a frame that fits the largest one, with room for a caption below.
+ *
+ *  @param pieces               Array of piece data.
+ *  @param animationOptions     Animation options, see animationToSVG().
+ *
+ *  @return {pieces, width, height, fontSize} with translated pieces and frame
+ *          size in base units.
+ */
+function layoutAnimation(pieces, animationOptions) {
+    var width = 0, height = 0;
+    for (var i = 0; i < pieces.length; i++) {
+        width = Math.max(width, pieces[i].bbox.x2-pieces[i].bbox.x);
+        height = Math.max(height, pieces[i].bbox.y2-pieces[i].bbox.y);
+    }
+    var fontSize = height/16;
+    return {
+        pieces: pieces.map(function(piece) {
+            return translatePiece(piece, 
+                (width-(piece.bbox.x2-piece.bbox.x))/2 - piece.bbox.x,
+                (height-(piece.bbox.y2-piece.bbox.y))/2 - piece.bbox.y
+            );
+        }),
+        width: width,
+        height: height + (animationOptions.captions ? fontSize*2 : 0),
+        fontSize: fontSize
+    };
+}
+
+/**
+ * Output a SMIL animation element looping over a timeline.
+ *
+ *  @param attribute    Animated attribute name.
+ *  @param keyframes    Array of [time, value] in seconds, in increasing order 
+ *                      from 0. Values hold until the next keyframe if discrete.
+ *  @param total        Timeline duration in seconds.
+ *  @param discrete     Whether values jump instead of being interpolated.
+ *
+ *  @return SVG string.
+ */
+function animateSVG(attribute, keyframes, total, discrete) {
+    // Drop keyframes at or beyond the end of the timeline, except when
+    // interpolated.
+    keyframes = keyframes.filter(function(keyframe, i) {
+        return (i == 0 || (discrete ? keyframe[0] < total : keyframe[0] <= total));
+    });
+    if (!discrete && keyframes[keyframes.length-1][0] < total) {
+        keyframes.push([total, keyframes[keyframes.length-1][1]]);
+    }
+    return "<animate attributeName=\"" + attribute + "\" dur=\"" + total + "s\" repeatCount=\"indefinite\""
+        + " calcMode=\"" + (discrete ? "discrete" : "linear") + "\""
+        + " keyTimes=\"" + keyframes.map(function(keyframe) {return parseFloat((keyframe[0]/total).toFixed(6));}).join(";") + "\""
+        + " values=\"" + keyframes.map(function(keyframe) {return keyframe[1];}).join(";") + "\"/>";
+}
+
+/**
+ * Output an animation of a sequence of pieces as self-contained animated SVG
+ * in the active render theme. The animation loops back to the first piece.
+ *
+ *  @param pieces               Array of piece data.
+ *  @param animationOptions     Animation options:
+ *                              - duration      Time each piece is shown, in seconds.
+ *                              - transition    Transition time to the next piece
+ *                                              in seconds, 0 for none.
+ *                              - morph         Whether transitions morph pieces with
+ *                                              the same number of slots instead of
+ *                                              cross-fading. Other pieces cut directly.
+ *                              - captions      Caption label format, see pieceLabel()
+ *                                              (optional, default none).
+ *                              - background    Background color (optional, default
+ *                                              transparent).
+ *
+ *  @return SVG string.
+ */
+function animationToSVG(pieces, animationOptions) {
+    var layout = layoutAnimation(pieces, animationOptions);
+    var nb = layout.pieces.length;
+    var duration = animationOptions.duration;
+    var transition = (nb > 1 ? animationOptions.transition : 0);
+    var total = nb*(duration+transition);
+    
+    var svg = "<svg xmlns=\"http://www.w3.org/2000/svg\" version=\"1.1\""
+        + " viewBox=\"0 0 " + layout.width + " " + layout.height + "\""
+        + " fill=\"none\" stroke=\"" + renderTheme.stroke + "\" stroke-width=\"" + renderTheme.strokeWidth + "\">";
+    if (animationOptions.background) {
+        svg += "<rect width=\"" + layout.width + "\" height=\"" + layout.height + "\" fill=\"" + animationOptions.background + "\" stroke=\"none\"/>";
+    }
+    for (var k = 0; k < nb; k++) {
+        var piece = layout.pieces[k], next = layout.pieces[(k+1) % nb];
+        var start = k*(duration+transition);
+        var morph = (animationOptions.morph && transition > 0 && morphPieces(piece, next, 0));
+        
+        // Piece frame. First frame is visible without SMIL support.
+        svg += "<g opacity=\"" + (k == 0 ? 1 : 0) + "\">";
+        svg += pieceSVGElements(piece, true);
+        if (animationOptions.captions) {
+            svg += "<text x=\"" + layout.width/2 + "\" y=\"" + (layout.height-layout.fontSize/2) + "\" fill=\"" + renderTheme.stroke + "\" stroke=\"none\" font-family=\"sans-serif\" font-size=\"" + layout.fontSize + "\" text-anchor=\"middle\">" + pieceLabel(piece.sn, animationOptions.captions) + "</text>";
+        }
+        if (nb > 1) {
+            if (transition > 0 && !animationOptions.morph) {
+                // Fade in from previous frame & out to next one.
+                svg += animateSVG('opacity', (k == 0
+                    ? [[0, 1], [duration, 1], [duration+transition, 0], [total-transition, 0], [total, 1]]
+                    : [[0, 0], [start-transition, 0], [start, 1], [start+duration, 1], [start+duration+transition, 0]]
+                ), total, false);
+            } else {
+                // Show until transition, or until next piece if none.
+                var end = start + duration + (morph ? 0 : transition);
+                svg += animateSVG('opacity', (k == 0 ? [[0, 1], [end, 0]] : [[0, 0], [start, 1], [end, 0]]), total, true);
+            }
+        }
+        svg += "</g>";
+        
+        if (morph) {
+            // Morph frame, visible during transition.
+            var target = morphPieces(piece, next, 1);
+            var keyframes = function(from, to) {
+                return [[0, from], [start+duration, from], [start+duration+transition, to]];
+            };
+            svg += "<g opacity=\"0\">";
+            for (var iSlot = 0; iSlot < morph.slots.length; iSlot++) {
+                var fill = themeFill(iSlot);
+                for (var iShim = 0; iShim < morph.slots[iSlot].shims.length; iShim++) {
+                    var points = function(shim) {
+                        return shim.map(function(p) {return p.x + "," + p.y;}).join(" ");
+                    };
+                    var from = points(morph.slots[iSlot].shims[iShim]), to = points(target.slots[iSlot].shims[iShim]);
+                    svg += "<polygon points=\"" + from + "\" class=\"shim\"" + (fill ? " fill=\"" + fill + "\"" : "") + (renderTheme.strokeWidth ? "" : " stroke=\"none\"") + ">";
+                    svg += animateSVG('points', keyframes(from, to), total, false);
+                    svg += "</polygon>";
+                }
+            }
+            if (renderTheme.bbox) {
+                svg += "<rect class=\"bbox\"" + (renderTheme.strokeWidth ? "" : " stroke-width=\"0.1\"") + ">";
+                svg += animateSVG('x', keyframes(morph.bbox.x, target.bbox.x), total, false);
+                svg += animateSVG('y', keyframes(morph.bbox.y, target.bbox.y), total, false);
+                svg += animateSVG('width', keyframes(morph.bbox.x2-morph.bbox.x, target.bbox.x2-target.bbox.x), total, false);
+                svg += animateSVG('height', keyframes(morph.bbox.y2-morph.bbox.y, target.bbox.y2-target.bbox.y), total, false);
+                svg += "</rect>";
+            }
+            svg += animateSVG('opacity', [[0, 0], [start+duration, 1], [start+duration+transition, 0]], total, true);
+            svg += "</g>";
+        }
+    }
+    svg += "</svg>";
+    return svg;
+}
+
+/** Frame rate of GIF transitions. */
+var GIF_FPS = 20;
+
+/**
+ * Create an empty animated GIF. The global palette is a 6x7x6 color cube.
+ *
+ *  @param width    Image width in pixels.
+ *  @param height   Image height in pixels.
+ *
+ *  @return GIF object, see addGIFFrame() and gifToBytes().
+ */
+function newGIF(width, height) {
+    var gif = {width: width, height: height, data: new Uint8Array(1024), length: 0};
+    var bytes = function() {
+        for (var i = 0; i < arguments.length; i++) writeGIFByte(gif, arguments[i]);
+    };
+    
+    // Header & logical screen descriptor, with 256-color global palette.
+    "GIF89a".split("").forEach(function(c) {bytes(c.charCodeAt(0));});
+    bytes(width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0xF7, 0, 0);
+    for (var i = 0; i < 256; i++) {
+        if (i < 252) {
+            bytes(Math.round(Math.floor(i/42)*255/5), Math.round((Math.floor(i/6) % 7)*255/6), Math.round((i % 6)*255/5));
+        } else {
+            bytes(0, 0, 0);
+        }
+    }
+    
+    // Loop forever.
+    bytes(0x21, 0xFF, 0x0B);
+    "NETSCAPE2.0".split("").forEach(function(c) {bytes(c.charCodeAt(0));});
+    bytes(0x03, 0x01, 0, 0, 0);
+    return gif;
+}
+
+/**
+ * Append a byte to a GIF, growing its buffer as needed.
+ *
+ *  @param gif      GIF object, see newGIF().
+ *  @param b        Byte value.
+ */
+function writeGIFByte(gif, b) {
+    if (gif.length == gif.data.length) {
+        var data = new Uint8Array(gif.data.length*2);
+        data.set(gif.data);
+        gif.data = data;
+    }
+    gif.data[gif.length++] = b;
+}
+
+/**
+ * Add a frame to an animated GIF. Colors are mapped to the nearest color of 
+ * the palette, transparency is ignored.
+ *
+ *  @param gif      GIF object, see newGIF().
+ *  @param rgba     RGBA pixel data, e.g. from canvas getImageData().
+ *  @param delay    Frame duration in seconds.
+ */
+function addGIFFrame(gif, rgba, delay) {
+    var bytes = function() {
+        for (var i = 0; i < arguments.length; i++) writeGIFByte(gif, arguments[i]);
+    };
+    var cs = Math.max(2, Math.round(delay*100));
+    
+    // Graphic control extension & image descriptor.
+    bytes(0x21, 0xF9, 0x04, 0, cs & 0xFF, cs >> 8, 0, 0);
+    bytes(0x2C, 0, 0, 0, 0, gif.width & 0xFF, gif.width >> 8, gif.height & 0xFF, gif.height >> 8, 0);
+    
+    // LZW-compressed color indices, in data sub-blocks of up to 255 bytes.
+    var minCodeSize = 8, clearCode = 1 << minCodeSize, endCode = clearCode+1;
+    var codeSize = minCodeSize+1, nextCode = endCode+1, table = new Map();
+    var block = Array(), bits = 0, nbBits = 0;
+    var emit = function(code) {
+        bits |= code << nbBits;
+        nbBits += codeSize;
+        while (nbBits >= 8) {
+            block.push(bits & 0xFF);
+            bits >>= 8;
+            nbBits -= 8;
+            if (block.length == 255) {
+                bytes(255); bytes.apply(null, block);
+                block = Array();
+            }
+        }
+    };
+    var colorIndex = function(i) {
+        return Math.round(rgba[i]*5/255)*42 + Math.round(rgba[i+1]*6/255)*6 + Math.round(rgba[i+2]*5/255);
+    };
+    bytes(minCodeSize);
+    emit(clearCode);
+    var code = colorIndex(0);
+    for (var i = 4; i < gif.width*gif.height*4; i += 4) {
+        var k = colorIndex(i);
+        var key = code*256 + k;
+        var found = table.get(key);
+        if (typeof(found) !== 'undefined') {
+            code = found;
+            continue;
+        }
+        emit(code);
+        if (nextCode == 4096) {
+            // Table full, restart.
+            emit(clearCode);
+            codeSize = minCodeSize+1;
+            nextCode = endCode+1;
+            table.clear();
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        code = k;
+    }
+    emit(code);
+    emit(endCode);
+    if (nbBits > 0) block.push(bits & 0xFF);
+    if (block.length) {
+        bytes(block.length); bytes.apply(null, block);
+    }
+    bytes(0);
+}
+
+/**
+ * Terminate an animated GIF.
+ *
+ *  @param gif      GIF object, see newGIF().
+ *
+ *  @return GIF file data as Uint8Array.
+ */
+function gifToBytes(gif) {
+    writeGIFByte(gif, 0x3B);
+    return gif.data.subarray(0, gif.length);
+}
+
+/**
+ * Validate animation options.
+ *
+ *  @param animationOptions     Animation options, see piecesToAnimation().
+ *
+ *  @return error message, or undefined if valid.
+ */
+function validateAnimationOptions(animationOptions) {
+    var finite = function(value) {return (typeof(value) === 'number' && isFinite(value));};
+    if (!finite(animationOptions.duration) || animationOptions.duration <= 0) return "Invalid piece duration";
+    if (!finite(animationOptions.transition) || animationOptions.transition < 0) return "Invalid transition time";
+    if (animationOptions.format == 'gif') {
+        // Frames are scaled so that their longest side is pixels wide.
+        if (!finite(animationOptions.pixels) || animationOptions.pixels <= 0) return "Invalid image size";
+        if (animationOptions.pixels > MAX_RASTER_SIZE) return "Image too large: " + animationOptions.pixels + " pixels, maximum is " + MAX_RASTER_SIZE;
+    } else if (animationOptions.format != 'svg') {
+        return "Unknown animation format " + animationOptions.format;
+    }
+}
+
+/**
+ * Generate an animation from a set of pieces, in the set order.
+ *
+ *  @param set                  Piece set, see piecesToPDF().
+ *  @param pieceOptions         Piece options: cropped, trapezoidal.
+ *  @param animationOptions     Animation options, see animationToSVG(), plus:
+ *                              - format        Output format ('svg', 'gif').
+ *                              - pixels        GIF size of the longest frame side in
+ *                                              pixels.
+ *                              - createCanvas  GIF canvas factory, called with args 
+ *                                              (width, height).
+ *  @param limits               Output limits:
+ *                              - maxPieces     Maximum number of pieces in the animation.
+ *  @param save                 Output callback, called with args (data, fileName, mimeType).
+ *  @param onprogress           Progress callback, called with args (nb, nbOutput).
+ *  @param onfinish             Finish callback.
+ */
+function piecesToAnimation(set, pieceOptions, animationOptions, limits, save, onprogress, onfinish) {
+    // Actual number of pieces.
+    var nbOutput = Number(set.nbSelected < limits.maxPieces ? set.nbSelected : limits.maxPieces);
+    var fileName = fileSafe(composition(set.x, set.y, set.z, set.seed)) + ".animation";
+    
+    // Collect pieces, then render.
+    var pieces = Array();
+    forEachSelected(set, nbOutput, 
+        function(i) {
+            var sn = generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+            pieces.push(computePiece(sn, pieceOptions));
+        },
+        function(nb) {
+            onprogress(nb, nbOutput);
+        },
+        function() {
+            if (animationOptions.format == 'gif') {
+                animationToGIF(pieces, animationOptions, 
+                    function(data) {
+                        save(data, fileName + ".gif", 'image/gif');
+                        setTimeout(onfinish, 0);
+                    },
+                    onprogress
+                );
+            } else {
+                save(animationToSVG(pieces, animationOptions), fileName + ".svg", 'image/svg+xml');
+                setTimeout(onfinish, 0);
+            }
+        }
+    );
+}
+
+/**
+ * Render an animation of a sequence of pieces as animated GIF in the active 
+ * render theme, in the background one piece at a time.
+ *
+ *  @param pieces               Array of piece data.
+ *  @param animationOptions     Animation options, see piecesToAnimation(). The
+ *                              background defaults to white.
+ *  @param onfinish             Function(data) called with GIF file data as 
+ *                              Uint8Array.
+ *  @param onprogress           Progress callback, called with args (nb, nbPieces).
+ */
+function animationToGIF(pieces, animationOptions, onfinish, onprogress) {
+    var layout = layoutAnimation(pieces, animationOptions);
+    var nb = layout.pieces.length;
+    var scale = animationOptions.pixels/Math.max(layout.width, layout.height);
+    var width = Math.ceil(layout.width*scale), height = Math.ceil(layout.height*scale);
+    var canvas = animationOptions.createCanvas(width, height);
+    var context = canvas.getContext('2d');
+    var transition = (nb > 1 ? animationOptions.transition : 0);
+    var nbSteps = Math.max(1, Math.round(transition*GIF_FPS));
+    
+    // Render a piece or morph frame, return its pixels.
+    var render = function(piece, caption) {
+        context.fillStyle = animationOptions.background || "#ffffff";
+        context.fillRect(0, 0, width, height);
+        drawCanvas(piece, context, scale, 0, 0);
+        if (caption) {
+            context.fillStyle = renderTheme.stroke;
+            context.font = layout.fontSize*scale + "px sans-serif";
+            context.textAlign = 'center';
+            context.fillText(pieceLabel(piece.sn, animationOptions.captions), width/2, height - layout.fontSize*scale/2);
+        }
+        return context.getImageData(0, 0, width, height).data;
+    };
+    
+    var gif = newGIF(width, height);
+    var k = 0;
+    var frame = render(layout.pieces[0], animationOptions.captions);
+    var renderBg = function() {
+        var piece = layout.pieces[k], next = layout.pieces[(k+1) % nb];
+        var morph = (animationOptions.morph && transition > 0 && morphPieces(piece, next, 0));
+        if (transition > 0 && (morph || !animationOptions.morph)) {
+            addGIFFrame(gif, frame, animationOptions.duration);
+            var nextFrame = render(next, animationOptions.captions);
+            for (var step = 1; step <= nbSteps; step++) {
+                var t = step/(nbSteps+1);
+                if (morph) {
+                    addGIFFrame(gif, render(morphPieces(piece, next, t)), transition/nbSteps);
+                } else {
+                    // Cross-fade.
+                    var mix = new Uint8ClampedArray(frame.length);
+                    for (var i = 0; i < frame.length; i++) {
+                        mix[i] = frame[i] + (nextFrame[i]-frame[i])*t;
+                    }
+                    addGIFFrame(gif, mix, transition/nbSteps);
+                }
+            }
+        } else {
+            // Cut directly to the next piece.
+            addGIFFrame(gif, frame, animationOptions.duration + transition);
+            var nextFrame = render(next, animationOptions.captions);
+        }
+        frame = nextFrame;
+        
+        k++;
+        onprogress(k, nb);
+        if (k < nb) {
+            setTimeout(renderBg, 0);
+        } else {
+            onfinish(gifToBytes(gif));
+        }
+    };
+    renderBg();
+}
+
+/**
+ * Generate a bill of materials from a set of pieces.
+ *
+ *  @param set              Piece set, see piecesToPDF().
+ *  @param pieceOptions     Piece options: cropped, trapezoidal.
+ *  @param limits           Output limits:
+ *                          - maxPieces        Maximum overall number of pieces.
+ *  @param onprogress       Progress callback, called with args (nb, nbOutput).
+ *  @param onfinish         Finish callback, called with BOM object, see newBOM().
+ */
+function piecesToBOM(set, pieceOptions, limits, onprogress, onfinish) {
+    var bom = newBOM();
+    
+    // Actual number of pieces.
+    var nbOutput = Number(set.nbSelected < limits.maxPieces ? set.nbSelected : limits.maxPieces);
+    
+    forEachSelected(set, nbOutput, 
+        function(i) {
+            var sn = generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+            addPieceToBOM(bom, i, computePiece(sn, pieceOptions));
+        },
+        function(nb) {
+            onprogress(nb, nbOutput);
+        },
+        function() {
+            setTimeout(function() {onfinish(bom);}, 0);
+        }
+    );
+}
+
+
+/*
+ *
+ * Node.js module exports.
+ *
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        unitPt: unitPt,
+        geometryProfiles: geometryProfiles,
+        validateGeometry: validateGeometry,
+        setGeometry: setGeometry,
+        getGeometry: getGeometry,
+        baseUnitSize: baseUnitSize,
+        renderThemes: renderThemes,
+        validateTheme: validateTheme,
+        setTheme: setTheme,
+        pieceSVGElements: pieceSVGElements,
+        orderings: orderings,
+        isOrdering: isOrdering,
+        MAX_SORTED: MAX_SORTED,
+        MAX_FILTER: MAX_FILTER,
+        normalizeSeed: normalizeSeed,
+        hashSeed: hashSeed,
+        lcg_params: lcg_params,
+        permutationSize: permutationSize,
+        lcg: lcg,
+        lcg_inverse: lcg_inverse,
+        generatePermutation: generatePermutation,
+        findPermutation: findPermutation,
+        valueToSN: valueToSN,
+        snToValue: snToValue,
+        parseSN: parseSN,
+        snToNotation: snToNotation,
+        notationToSN: notationToSN,
+        normalizeSN: normalizeSN,
+        flipSN: flipSN,
+        symmetryClass: symmetryClass,
+        pieceLabel: pieceLabel,
+        composition: composition,
+        fileSafe: fileSafe,
+        pieceFileName: pieceFileName,
+        testUnicity: testUnicity,
+        project: project,
+        computePiece: computePiece,
+        pieceMetrics: pieceMetrics,
+        formatMetric: formatMetric,
+        maxPieceSize: maxPieceSize,
+        pieceToSVG: pieceToSVG,
+        dxfUnits: dxfUnits,
+        pieceToDXF: pieceToDXF,
+        MAX_RASTER_SIZE: MAX_RASTER_SIZE,
+        rasterFormats: rasterFormats,
+        validateRasterOptions: validateRasterOptions,
+        rasterSize: rasterSize,
+        pieceToRaster: pieceToRaster,
+        morphPieces: morphPieces,
+        animationToSVG: animationToSVG,
+        validateAnimationOptions: validateAnimationOptions,
+        piecesToAnimation: piecesToAnimation,
+        newGIF: newGIF,
+        addGIFFrame: addGIFFrame,
+        gifToBytes: gifToBytes,
+        parseFilter: parseFilter,
+        filterIndices: filterIndices,
+        firstOfClass: firstOfClass,
+        sortIndices: sortIndices,
+        filterIndicesBg: filterIndicesBg,
+        metricHistogram: metricHistogram,
+        pieceStatistics: pieceStatistics,
+        histogramToSVG: histogramToSVG,
+        toggledPieces: toggledPieces,
+        encodeRanges: encodeRanges,
+        decodeRanges: decodeRanges,
+        selectionSet: selectionSet,
+        validateSelectionSet: validateSelectionSet,
+        forEachSelected: forEachSelected,
+        drawPDF: drawPDF,
+        pieceToAssemblyPDF: pieceToAssemblyPDF,
+        piecesToPDF: piecesToPDF,
+        piecesToZip: piecesToZip,
+        newBOM: newBOM,
+        addPieceToBOM: addPieceToBOM,
+        bomToCSV: bomToCSV,
+        piecesToBOM: piecesToBOM,
+        installationDefaults: installationDefaults,
+        planInstallation: planInstallation,
+        installationToSVG: installationToSVG,
+        installationToPDF: installationToPDF
+    };
+}
@@ -0,0 +1,567 @@
+#!/usr/bin/env node
+/*
+ *
+ * Command-line interface.
+ *
+ * Usage: shim-index <command> [options]
+ *
+ * Run with --help for the list of options.
+ *
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var shim = require('./shim-core.js');
+var test = require('./shim-test.js');
+
+/** Command-line usage. */
+var usage = [
+    "Usage: shim-index <command> [options]",
+    "",
+    "Commands:",
+    "  list                 Print S/N of pieces in range, one per line.",
+    "  svg                  Write one SVG file per piece in range.",
+    "  dxf                  Write one DXF R12 file per piece in range, units implied.",
+    "  pdf                  Write pieces in range to PDF document(s).",
+    "  zip                  Write pieces in range to zipped SVG (or DXF) file(s).",
+    "  bom                  Write bill of materials of pieces in range as CSV.",
+    "  assembly             Write one assembly sheet PDF per piece in range.",
+    "  install              Write installation plan of pieces in range as SVG and PDF.",
+    "  animate              Write pieces in range as animated SVG, in sequence order",
+    "                       (animated GIF is only available in the browser).",
+    "  stats                Print statistics of piece metrics in range.",
+    "  check                Check permutation and geometry invariants.",
+    "",
+    "Options:",
+    "  --x <n>              Shim unit size (default 7).",
+    "  --y <n>              Number of slots (default 5).",
+    "  --z <n>              Number of repeating sub-units (default 2).",
+    "  --seed <seed>        Permutation seed, number or passphrase (default 0).",
+    "  --order <name>       Ordering: " + Object.keys(shim.orderings).join(", ") + " (default lcg).",
+    "  --range <a-b>        Piece index range, inclusive (default 0-99).",
+    "  --cropped            Crop shim tips.",
+    "  --trapezoidal        Trapezoidal shims.",
+    "  --filter <query>     Only pieces in range matching query, e.g. \"slot1 = 7 and shims < 20\".",
+    "  --canonical          Only pieces whose symmetry class (flipped/mirrored pieces)",
+    "                       does not occur earlier in the sequence.",
+    "  --sort <metric>      Sort pieces by metric, prefix with - for decreasing values:",
+    "                       " + Object.keys(shim.pieceMetrics).join(", ") + ".",
+    "  --profile <name>     Shim geometry profile: " + Object.keys(shim.geometryProfiles).map(JSON.stringify).join(", ") + ".",
+    "  --geometry <l,t,p,n> Shim length, thickness, tip and negative space ratios.",
+    "  --theme <name>       Render theme for SVG/PDF output: " + Object.keys(shim.renderThemes).map(JSON.stringify).join(", ") + ",",
+    "                       or JSON file with theme settings (default \"Outline\").",
+    "  --notation           Use artist notation for labels and file names.",
+    "  --real-size          Output at real size, needs a profile in real units.",
+    "  --unit <unit>        Real size unit: mm, cm, in, pt (default mm, pt not in DXF).",
+    "  --overlap <n>        PDF overlap between tiles of large pieces, in unit (default 10mm).",
+    "  --dxf                Zip DXF files instead of SVG.",
+    "  --out <dir>          Output directory (default current directory).",
+    "  --format <format>    PDF page format: a3, a4, a5, letter, legal (default a4).",
+    "  --landscape          PDF landscape orientation.",
+    "  --cols <n>           PDF minimum number of columns per page (default 2).",
+    "  --rows <n>           PDF minimum number of rows per page (default 6).",
+    "  --bom                Append bill of materials to PDF.",
+    "  --index              Add cover page, contact sheet, S/N index and bookmarks to PDF.",
+    "  --wall <w>x<h>       Installation wall size, in profile units (default 4m x 2.5m,",
+    "                       base units count as mm for ratio profiles).",
+    "  --columns <n>        Installation pieces per row (default all in one row).",
+    "  --spacing <n>        Installation space between pieces (default 10cm).",
+    "  --row-spacing <n>    Installation space between rows (default 10cm).",
+    "  --align <align>      Installation alignment in rows: top, center, bottom (default top).",
+    "  --center-height <n>  Installation center height above floor (default 1.45m).",
+    "  --per-file <n>       Maximum number of pieces per PDF/Zip file (default 1000).",
+    "  --duration <s>       Animation: time each piece is shown, in seconds (default 1).",
+    "  --transition <s>     Animation: cross-fade time between pieces, in seconds (default 0.5).",
+    "  --morph              Animation: morph pieces instead of cross-fading.",
+    "  --captions <format>  Animation: caption per frame: sn, notation, both (default none).",
+    "  --max-size <n>       Check: largest permutation size to check fully (default 50000).",
+    "  --sample <n>         Check: sampled indices checked in larger permutations, 0 to",
+    "                       skip them (default 100).",
+    "  --sample-seed <s>    Check: seed of sampled indices, printed by each run (default",
+    "                       random).",
+    "  --seeds <n>          Check: number of seeds per composition (default 5).",
+    "  --golden <dir>       Check: compare SVG/PDF output of fixed S/Ns with files in dir.",
+    "  --update             Check: write missing or differing golden files.",
+    "  --help               Print this message.",
+].join("\n");
+
+/**
+ * Parse command-line arguments.
+ *
+ *  @param argv     Argument array, without node and script names.
+ *
+ *  @return {command, options}
+ */
+function parseArgs(argv) {
+    var flags = ['cropped', 'trapezoidal', 'canonical', 'notation', 'landscape', 'real-size', 'dxf', 'bom', 'index', 'morph', 'update', 'help'];
+    var args = {command: undefined, options: {}};
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg.substr(0, 2) == "--") {
+            var name = arg.substr(2);
+            var eq = name.indexOf("=");
+            if (eq >= 0) {
+                args.options[name.substr(0, eq)] = name.substr(eq+1);
+            } else if (flags.indexOf(name) >= 0) {
+                args.options[name] = true;
+            } else if (i+1 < argv.length) {
+                args.options[name] = argv[++i];
+            } else {
+                throw new Error("Missing value for option --" + name);
+            }
+        } else if (!args.command) {
+            args.command = arg;
+        } else {
+            throw new Error("Unexpected argument " + arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * Parse a positive integer option.
+ *
+ *  @param options  Option values.
+ *  @param name     Option name.
+ *  @param def      Default value.
+ *  @param min      Minimum value.
+ *
+ *  @return integer value.
+ */
+function intOption(options, name, def, min) {
+    if (typeof(options[name]) === 'undefined') return def;
+    if (!/^\d+$/.test(options[name]) || parseInt(options[name]) < min) {
+        throw new Error("Invalid value for option --" + name + ": " + options[name]);
+    }
+    return parseInt(options[name]);
+}
+
+/**
+ * Build piece set from options.
+ *
+ *  @param options  Option values.
+ *
+ *  @return piece set, see piecesToPDF().
+ */
+function buildSet(options) {
+    var x = intOption(options, 'x', 7, 1);
+    var y = intOption(options, 'y', 5, 1);
+    var z = intOption(options, 'z', 2, 1);
+    var seed = shim.normalizeSeed(typeof(options.seed) === 'undefined' ? "0" : String(options.seed));
+    var order = options.order || 'lcg';
+    if (!shim.isOrdering(order)) {
+        throw new Error("Unknown order " + order);
+    }
+    var size = shim.permutationSize(x, y, z);
+
+    // Piece range, clamped to permutation size.
+    var range = (options.range || "0-99").match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) {
+        throw new Error("Invalid range " + options.range);
+    }
+    var first = BigInt(range[1]);
+    var last = BigInt(typeof(range[2]) === 'undefined' ? range[1] : range[2]);
+    if (last >= size) last = size - 1n;
+    if (first > last) {
+        throw new Error("Empty range, permutation size is " + size);
+    }
+
+    var pieceOptions = {cropped: !!options.cropped, trapezoidal: !!options.trapezoidal};
+    if (shim.orderings[order].prepare) {
+        if (size > BigInt(shim.MAX_SORTED)) {
+            throw new Error("Permutation size too large for sorted order");
+        }
+        shim.orderings[order].prepare(x, y, z, pieceOptions);
+    }
+
+    var set = {
+        x: x, y: y, z: z,
+        seed: seed,
+        g: shim.lcg_params(seed, x, y, z),
+        order: order,
+        nbPieces: last + 1n,
+        first: first,
+        defaultSelected: true,
+        pieceToggle: {},
+        nbSelected: last - first + 1n,
+        pieceOptions: pieceOptions
+    };
+
+    // Restrict to pieces matching filter and/or canonical pieces.
+    if (typeof(options.filter) !== 'undefined' || options.canonical) {
+        var filter;
+        if (typeof(options.filter) !== 'undefined') {
+            filter = shim.parseFilter(String(options.filter));
+            if (filter.error) {
+                throw new Error("Invalid filter: " + filter.error);
+            }
+        }
+        set.canonical = !!options.canonical;
+        set.filter = shim.filterIndices(set, filter, pieceOptions);
+        if (!set.filter) {
+            throw new Error("Filtering is limited to ranges of " + shim.MAX_FILTER + " pieces");
+        }
+        set.nbSelected = BigInt(set.filter.length);
+    }
+
+    // Sort by metric.
+    if (typeof(options.sort) !== 'undefined') {
+        var sort = String(options.sort).match(/^(-?)(\w+)$/);
+        if (!sort || !Object.prototype.hasOwnProperty.call(shim.pieceMetrics, sort[2])) {
+            throw new Error("Unknown metric " + options.sort);
+        }
+        if (!set.filter) {
+            if (last - first >= BigInt(shim.MAX_FILTER)) {
+                throw new Error("Sorting is limited to ranges of " + shim.MAX_FILTER + " pieces");
+            }
+            set.filter = Array();
+            for (var i = first; i <= last; i++) {
+                set.filter.push(i);
+            }
+        }
+        set.filter = shim.sortIndices(set, set.filter, sort[2], !!sort[1], pieceOptions);
+    }
+    return set;
+}
+
+/**
+ * Iterate over the pieces of a set: those matching the filter if any, else
+ * all pieces in range.
+ *
+ *  @param set      Piece set, see buildSet().
+ *  @param process  Function(index) called for each piece.
+ */
+function forEachPiece(set, process) {
+    if (set.filter) {
+        set.filter.forEach(process);
+        return;
+    }
+    for (var i = set.first; i < set.nbPieces; i++) {
+        process(i);
+    }
+}
+
+/**
+ * Set shim geometry from options.
+ *
+ *  @param options  Option values.
+ */
+function applyGeometry(options) {
+    var profile;
+    if (options.geometry) {
+        var values = String(options.geometry).split(",").map(parseFloat);
+        if (values.length != 4) {
+            throw new Error("Invalid geometry " + options.geometry);
+        }
+        profile = {unit: 'ratio', length: values[0], thickness: values[1], tip: values[2], negativeSpace: values[3]};
+    } else if (options.profile) {
+        profile = shim.geometryProfiles[options.profile];
+        if (!profile) {
+            throw new Error("Unknown geometry profile " + options.profile);
+        }
+    } else {
+        return;
+    }
+    var error = shim.setGeometry(profile);
+    if (error) {
+        throw new Error(error);
+    }
+}
+
+/**
+ * Set render theme from options.
+ *
+ *  @param options  Option values.
+ */
+function applyTheme(options) {
+    if (!options.theme) return;
+    var theme = shim.renderThemes[options.theme];
+    if (!theme) {
+        if (!fs.existsSync(options.theme)) {
+            throw new Error("Unknown render theme " + options.theme);
+        }
+        theme = JSON.parse(fs.readFileSync(options.theme, 'utf8'));
+    }
+    var error = shim.setTheme(theme);
+    if (error) {
+        throw new Error(error);
+    }
+}
+
+/**
+ * Write output file.
+ *
+ *  @param dir          Output directory.
+ *  @param data         File data (binary string or typed array).
+ *  @param fileName     File name.
+ */
+function writeFile(dir, data, fileName) {
+    var file = path.join(dir, fileName);
+    fs.writeFileSync(file, (typeof(data) === 'string') ? Buffer.from(data, 'binary') : data);
+    console.log(file);
+}
+
+/**
+ * Load vendored browser libraries as globals.
+ */
+function loadJsPDF() {
+    // jsPDF expects a browser-like environment.
+    global.self = global.window = global;
+    global.navigator = global.navigator || {userAgent: ""};
+    global.saveAs = function() {};
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, "jspdf.min.js"), 'utf8'));
+}
+function loadJSZip() {
+    global.JSZip = require('./jszip.min.js');
+}
+
+/**
+ * Main entry point.
+ */
+function main() {
+    var args = parseArgs(process.argv.slice(2));
+    if (args.options.help || !args.command) {
+        console.log(usage);
+        return;
+    }
+
+    applyGeometry(args.options);
+    applyTheme(args.options);
+
+    if (args.command == 'check') {
+        if (args.options.golden) loadJsPDF();
+        var nbFailed = test.check({
+            maxSize: BigInt(intOption(args.options, 'max-size', 50000, 1)),
+            nbSeeds: intOption(args.options, 'seeds', 5, 1),
+            sample: intOption(args.options, 'sample', 100, 0),
+            sampleSeed: args.options['sample-seed'],
+            golden: args.options.golden,
+            update: !!args.options.update
+        });
+        process.exitCode = nbFailed ? 1 : 0;
+        return;
+    }
+
+    var set = buildSet(args.options);
+    var nameFormat = args.options.notation ? 'notation' : 'sn';
+    var dir = args.options.out || ".";
+    var perFile = intOption(args.options, 'per-file', 1000, 1);
+    var unit = args.options.unit || 'mm';
+    if (!shim.unitPt[unit]) {
+        throw new Error("Unknown unit " + unit);
+    }
+    var realSize = !!args.options['real-size'];
+    if (realSize && !shim.baseUnitSize(unit)) {
+        throw new Error("Real size needs a geometry profile in real units");
+    }
+    if (realSize && (args.command == 'dxf' || (args.command == 'zip' && args.options.dxf)) && !shim.dxfUnits[unit]) {
+        throw new Error("Unit " + unit + " is not supported in DXF");
+    }
+    var done = function() {};
+    var noprogress = function() {};
+
+    switch (args.command) {
+        case 'list':
+            forEachPiece(set, function(i) {
+                var sn = shim.generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+                console.log(i + "\t" + sn + "\t" + shim.snToNotation(sn));
+            });
+            break;
+
+        case 'svg':
+            fs.mkdirSync(dir, {recursive: true});
+            forEachPiece(set, function(i) {
+                var sn = shim.generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+                var piece = shim.computePiece(sn, set.pieceOptions);
+                writeFile(dir, shim.pieceToSVG(piece, realSize ? unit : undefined), shim.pieceFileName(sn, nameFormat) + ".svg");
+            });
+            break;
+
+        case 'dxf':
+            fs.mkdirSync(dir, {recursive: true});
+            forEachPiece(set, function(i) {
+                var sn = shim.generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+                var piece = shim.computePiece(sn, set.pieceOptions);
+                writeFile(dir, shim.pieceToDXF(piece, realSize ? unit : undefined), shim.pieceFileName(sn, nameFormat) + ".dxf");
+            });
+            break;
+
+        case 'assembly':
+            loadJsPDF();
+            fs.mkdirSync(dir, {recursive: true});
+            forEachPiece(set, function(i) {
+                var sn = shim.generatePermutation(i, set.g, set.x, set.y, set.z, set.order);
+                var pdf = shim.pieceToAssemblyPDF(shim.computePiece(sn, set.pieceOptions), {
+                    orient: args.options.landscape ? 'landscape' : 'portrait',
+                    format: args.options.format || 'a4',
+                    labelFormat: 'both',
+                    compo: shim.composition(set.x, set.y, set.z, set.seed)
+                });
+                writeFile(dir, pdf.output(), shim.pieceFileName(sn, nameFormat) + ".assembly.pdf");
+            });
+            break;
+
+        case 'install':
+            loadJsPDF();
+            fs.mkdirSync(dir, {recursive: true});
+            var defaults = shim.installationDefaults();
+            var wall = (args.options.wall || defaults.wallWidth + "x" + defaults.wallHeight).match(/^([\d.]+)x([\d.]+)$/);
+            if (!wall) {
+                throw new Error("Invalid wall size " + args.options.wall);
+            }
+            var pieces = Array();
+            forEachPiece(set, function(i) {
+                pieces.push(shim.computePiece(shim.generatePermutation(i, set.g, set.x, set.y, set.z, set.order), set.pieceOptions));
+            });
+            var plan = shim.planInstallation(pieces, {
+                wallWidth: parseFloat(wall[1]),
+                wallHeight: parseFloat(wall[2]),
+                columns: intOption(args.options, 'columns', 0, 0),
+                spacing: (typeof(args.options.spacing) === 'undefined' ? defaults.spacing : parseFloat(args.options.spacing)),
+                rowSpacing: (typeof(args.options['row-spacing']) === 'undefined' ? defaults.rowSpacing : parseFloat(args.options['row-spacing'])),
+                align: args.options.align || 'top',
+                centerHeight: (typeof(args.options['center-height']) === 'undefined' ? defaults.centerHeight : parseFloat(args.options['center-height']))
+            });
+            if (!plan.fits) {
+                console.error("shim-index: warning, arrangement exceeds the wall");
+            }
+            var name = shim.fileSafe(shim.composition(set.x, set.y, set.z, set.seed)) + ".installation";
+            writeFile(dir, shim.installationToSVG(plan), name + ".svg");
+            writeFile(dir, shim.installationToPDF(plan, {
+                orient: 'landscape',
+                format: args.options.format || 'a4',
+                title: "Installation plan - " + shim.composition(set.x, set.y, set.z, set.seed)
+            }).output(), name + ".pdf");
+            break;
+
+        case 'pdf':
+            loadJsPDF();
+            fs.mkdirSync(dir, {recursive: true});
+            // Page layout is fixed in mm, --unit only applies to real size
+            // and overlap.
+            var margin = Math.round(10 * shim.unitPt.mm);
+            shim.piecesToPDF(
+                set,
+                set.pieceOptions,
+                {
+                    orient: args.options.landscape ? 'landscape' : 'portrait',
+                    format: args.options.format || 'a4',
+                    sides: 'single',
+                    unit: 'pt',
+                    margins: {top: margin, bottom: margin, left: margin, right: margin},
+                    padding: Math.round(5 * shim.unitPt.mm),
+                    justif: 'left',
+                    cols: intOption(args.options, 'cols', 2, 1),
+                    rows: intOption(args.options, 'rows', 6, 1),
+                    compoPos: 'top',
+                    pageNbPos: 'bottom',
+                    labelPos: 'bottom',
+                    labelFormat: nameFormat,
+                    realSize: realSize,
+                    bom: !!args.options.bom,
+                    index: !!args.options.index,
+                    overlap: (typeof(args.options.overlap) === 'undefined' ? 10 * shim.unitPt.mm : parseFloat(args.options.overlap) * shim.unitPt[unit])
+                },
+                {
+                    maxPieces: Number(set.nbSelected),
+                    maxPiecesPerDoc: perFile,
+                    maxPagesPerDoc: Number.MAX_SAFE_INTEGER
+                },
+                function(data, fileName) {writeFile(dir, data, fileName);},
+                noprogress,
+                done
+            );
+            break;
+
+        case 'zip':
+            loadJSZip();
+            fs.mkdirSync(dir, {recursive: true});
+            shim.piecesToZip(
+                set,
+                set.pieceOptions,
+                {
+                    format: args.options.dxf ? 'dxf' : 'svg',
+                    nameFormat: nameFormat,
+                    unit: realSize ? unit : undefined
+                },
+                {
+                    maxPieces: Number(set.nbSelected),
+                    maxPiecesPerZip: perFile
+                },
+                function(data, fileName) {writeFile(dir, data, fileName);},
+                noprogress,
+                done
+            );
+            break;
+
+        case 'animate':
+            // GIF frames need a canvas, which Node.js lacks.
+            var animationOptions = {
+                format: 'svg',
+                duration: parseFloat(args.options.duration || 1),
+                transition: parseFloat(args.options.transition || 0.5),
+                morph: !!args.options.morph,
+                captions: args.options.captions
+            };
+            var error = shim.validateAnimationOptions(animationOptions);
+            if (error) {
+                throw new Error(error);
+            }
+            if (set.nbSelected == 0n) {
+                throw new Error("No pieces selected");
+            }
+            fs.mkdirSync(dir, {recursive: true});
+            shim.piecesToAnimation(
+                set,
+                set.pieceOptions,
+                animationOptions,
+                {
+                    maxPieces: Number(set.nbSelected)
+                },
+                function(data, fileName) {writeFile(dir, data, fileName);},
+                noprogress,
+                done
+            );
+            break;
+
+        case 'stats':
+            var stats = shim.pieceStatistics(set, set.pieceOptions, Number.MAX_SAFE_INTEGER, 10);
+            console.log("Metric\tMin\tMean\tMax\tHistogram (" + stats.nbPieces + " pieces)");
+            for (var name in stats.histograms) {
+                var histogram = stats.histograms[name];
+                console.log([
+                    name,
+                    shim.formatMetric(name, histogram.min),
+                    shim.formatMetric(name, histogram.mean),
+                    shim.formatMetric(name, histogram.max),
+                    histogram.bins.join(" ")
+                ].join("\t"));
+            }
+            break;
+
+        case 'bom':
+            fs.mkdirSync(dir, {recursive: true});
+            shim.piecesToBOM(
+                set,
+                set.pieceOptions,
+                {maxPieces: Number(set.nbSelected)},
+                noprogress,
+                function(bom) {
+                    writeFile(dir, shim.bomToCSV(bom), shim.fileSafe(shim.composition(set.x, set.y, set.z, set.seed)) + ".bom.csv");
+                }
+            );
+            break;
+
+        default:
+            throw new Error("Unknown command " + args.command);
+    }
+}
+
+try {
+    main();
+} catch (e) {
+    console.error("shim-index: " + e.message);
+    process.exit(1);
+}
@@ -0,0 +1,556 @@
+/*
+ *
+ * Consistency tests of the piece algorithms, run by the check command of the
+ * command-line interface.
+ *
+ * Golden PDF output needs the jsPDF global.
+ *
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var shim = require('./shim-core.js');
+
+/**
+ * Test function validating the permutation generator for a given ordering:
+ * S/Ns map back to their index, and no S/N is generated twice. Large 
+ * permutations can be checked on a sample of indices instead, including the
+ * first and last ones; duplicates are then only detected within the sample.
+ *
+ *  @param x            Number of shims per shim unit.
+ *  @param y            Number of shim units/slots per piece.
+ *  @param z            Maximum number of repeating sub-units per slot.
+ *  @param seed         Seed used to generate LCG parameters.
+ *  @param order        Ordering strategy name (default 'lcg').
+ *  @param sample       Number of sampled indices to check (optional, default
+ *                      all).
+ *  @param sampleSeed   Seed of sampled indices, see sampleIndex().
+ *
+ *  @return array of error messages, empty if successful.
+ */
+function testPermutation(x, y, z, seed, order, sample, sampleSeed) {
+    var errors = Array();
+    var g = shim.lcg_params(seed, x, y, z);
+    var max = shim.permutationSize(x, y, z);
+    var nb = (sample ? BigInt(sample) : max);
+    var seen = {};
+    for (var k = 0n; k < nb; k++) {
+        var i = (sample ? sampleIndex(sampleSeed, shim.composition(x, y, z, seed) + " " + order, k, max) : k);
+        var sn = shim.generatePermutation(i, g, x, y, z, order);
+        if (seen[sn] && seen[sn] != i.toString()) {
+            errors.push("Duplicate S/N " + sn + " at indices " + seen[sn] + " and " + i);
+        } else {
+            seen[sn] = i.toString();
+        }
+        var index = shim.findPermutation(sn, g, x, y, z, order);
+        if (index !== i) {
+            errors.push("S/N " + sn + " at index " + i + " found at index " + index);
+        }
+        if (errors.length >= 10) break;
+    }
+    return errors;
+}
+
+/**
+ * Sampled index in a permutation: the first and last indices, then indices
+ * hashed from the sample seed, so that a run can be reproduced from its seed.
+ *
+ *  @param sampleSeed   Seed string of the run.
+ *  @param salt         Salt string, e.g. the composition.
+ *  @param k            Rank in the sample (BigInt).
+ *  @param max          Permutation size (BigInt).
+ *
+ *  @return BigInt index in [0, max).
+ */
+function sampleIndex(sampleSeed, salt, k, max) {
+    if (k == 0n) return 0n;
+    if (k == 1n) return max-1n;
+    return shim.hashSeed(sampleSeed, salt + " " + k) % max;
+}
+
+/**
+ * Test function validating piece geometry invariants:
+ *
+ *  - slots alternate orientations, starting with the S/N sign.
+ *  - cropped slots all span the full piece height.
+ *  - consecutive slots and sub-units are separated by the negative space and
+ *    sub-unit space, measured on the tip side of the next one.
+ *  - the bounding box contains all shims and touches them on all sides.
+ *  - other S/Ns of the symmetry class give the vertically mirrored piece, 
+ *    see shim.symmetryClass().
+ *
+ *  @param sn       Piece S/N.
+ *  @param options  Piece options, see shim.computePiece().
+ *
+ *  @return array of error messages, empty if successful.
+ */
+function testPiece(sn, options) {
+    var epsilon = 1e-6;
+    var errors = Array();
+    var parsed = shim.parseSN(sn);
+    var piece = shim.computePiece(sn, options);
+    if (!parsed || !piece) {
+        return ["Invalid S/N " + sn];
+    }
+    var height = piece.bbox.y2 - piece.bbox.y;
+    var geometry = shim.getGeometry();
+    var negativeSpace = geometry.negativeSpace / geometry.thickness;
+    var subUnitSpace = negativeSpace/2;
+
+    // Orientation alternation.
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var expected = (iSlot % 2) ? -parsed.upward : parsed.upward;
+        if (piece.slots[iSlot].upward != expected) {
+            errors.push(sn + ": slot " + (iSlot+1) + " has wrong orientation");
+        }
+    }
+
+    // Cropped height.
+    if (options.cropped) {
+        for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+            var slot = piece.slots[iSlot];
+            var minY = Number.POSITIVE_INFINITY, maxY = Number.NEGATIVE_INFINITY;
+            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+                var points = slot.shims[iShim];
+                for (var i = 0; i < points.length; i++) {
+                    minY = Math.min(minY, points[i].y);
+                    maxY = Math.max(maxY, points[i].y);
+                }
+            }
+            if (Math.abs(minY-piece.bbox.y) > epsilon || Math.abs(maxY-piece.bbox.y2) > epsilon) {
+                errors.push(sn + ": cropped slot " + (iSlot+1) + " spans " + minY + "-" + maxY + " instead of " + piece.bbox.y + "-" + piece.bbox.y2);
+            }
+        }
+    }
+
+    // Negative space.
+    var prevShim;
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        var y = slot.upward > 0 ? piece.bbox.y : piece.bbox.y + height;
+        for (var iUnit = 0; iUnit < slot.repeat; iUnit++) {
+            var first = iUnit*slot.nbShims;
+            if (prevShim) {
+                var prevP = shim.project(options.trapezoidal ? prevShim[3] : prevShim[0], prevShim[2], y);
+                var p = shim.project(slot.shims[first][0], slot.shims[first][1], y);
+                var space = (iUnit > 0 ? subUnitSpace : negativeSpace);
+                if (Math.abs(p.x - prevP.x - space) > epsilon) {
+                    errors.push(sn + ": slot " + (iSlot+1) + " unit " + (iUnit+1) + " is spaced by " + (p.x - prevP.x) + " instead of " + space);
+                }
+            }
+            prevShim = slot.shims[first+slot.nbShims-1];
+        }
+    }
+
+    // Bounding box.
+    var x = Number.POSITIVE_INFINITY, y = Number.POSITIVE_INFINITY;
+    var x2 = Number.NEGATIVE_INFINITY, y2 = Number.NEGATIVE_INFINITY;
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            var points = slot.shims[iShim];
+            for (var i = 0; i < points.length; i++) {
+                x = Math.min(x, points[i].x);
+                y = Math.min(y, points[i].y);
+                x2 = Math.max(x2, points[i].x);
+                y2 = Math.max(y2, points[i].y);
+            }
+        }
+    }
+    if (   Math.abs(x-piece.bbox.x) > epsilon || Math.abs(y-piece.bbox.y) > epsilon
+        || Math.abs(x2-piece.bbox.x2) > epsilon || Math.abs(y2-piece.bbox.y2) > epsilon) {
+        errors.push(sn + ": bounding box " + [piece.bbox.x, piece.bbox.y, piece.bbox.x2, piece.bbox.y2].join(",") + " instead of " + [x, y, x2, y2].join(","));
+    }
+    
+    // Symmetry class.
+    errors = errors.concat(testSymmetry(sn, piece, options));
+    
+    return errors;
+}
+
+/**
+ * Test that the symmetry class of a piece holds exactly the S/Ns among its
+ * flipped and reversed ones whose piece has the same shape, flipped top to 
+ * bottom, mirrored left to right or turned upside down.
+ *
+ *  @param sn       Piece S/N.
+ *  @param piece    Piece data.
+ *  @param options  Piece options, see shim.computePiece().
+ *
+ *  @return array of error messages, empty if successful.
+ */
+function testSymmetry(sn, piece, options) {
+    var errors = Array();
+    var members = shim.symmetryClass(sn);
+    var reversed = sn.substr(1).match(/[A-Z][2-9]?/g).reverse().join("");
+    var candidates = [shim.flipSN(sn), '+' + reversed, '-' + reversed];
+    var shape = pieceShape(piece, function(x, y) {return [x, y];});
+    var transforms = [
+        function(x, y, w, h) {return [x, h-y];},
+        function(x, y, w, h) {return [w-x, y];},
+        function(x, y, w, h) {return [w-x, h-y];}
+    ];
+    for (var i = 0; i < candidates.length; i++) {
+        if (candidates[i] == sn) continue;
+        var other = shim.computePiece(candidates[i], options);
+        var same = transforms.some(function(transform) {return pieceShape(other, transform) == shape;});
+        var member = (members.indexOf(candidates[i]) != -1);
+        if (same && !member) {
+            errors.push(sn + ": piece " + candidates[i] + " has the same shape but is not in the symmetry class");
+        } else if (!same && member) {
+            errors.push(sn + ": piece " + candidates[i] + " is in the symmetry class but has another shape");
+        }
+    }
+    return errors;
+}
+
+/**
+ * Shape of a piece as a string, for comparison: shim polygons relative to the
+ * bounding box, rounded and sorted.
+ *
+ *  @param piece        Piece data.
+ *  @param transform    Function(x, y, width, height) returning transformed
+ *                      point [x, y] within the bounding box.
+ *
+ *  @return shape string.
+ */
+function pieceShape(piece, transform) {
+    var bbox = piece.bbox;
+    var round = function(value) {return (Math.round(value*1e4) || 0);};
+    var polygons = Array();
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            polygons.push(slot.shims[iShim].map(function(p) {
+                var t = transform(p.x-bbox.x, p.y-bbox.y, bbox.x2-bbox.x, bbox.y2-bbox.y);
+                return round(t[0]) + "," + round(t[1]);
+            }).sort().join(" "));
+        }
+    }
+    return polygons.sort().join("|");
+}
+
+/**
+ * Test function validating DXF output: parse the group code/value pairs and
+ * check that every shim and the bounding box are closed polylines (flag 70 =
+ * 1) on their layer, whose vertices match the piece flipped upward and
+ * scaled to the unit.
+ *
+ *  @param piece    Piece data.
+ *  @param unit     Unit for real size output, see shim.pieceToDXF()
+ *                  (optional).
+ *
+ *  @return array of error messages, empty if successful.
+ */
+function testDXF(piece, unit) {
+    var epsilon = 1e-4;
+    var errors = Array();
+    var lines = shim.pieceToDXF(piece, unit).split("\n");
+    var pairs = Array();
+    for (var i = 0; i+1 < lines.length; i += 2) {
+        pairs.push({code: parseInt(lines[i]), value: lines[i+1]});
+    }
+    var scale = (unit && shim.baseUnitSize(unit)) || 1;
+    var bbox = piece.bbox;
+
+    // Expected polylines, in output order.
+    var expected = Array();
+    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
+        var slot = piece.slots[iSlot];
+        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
+            expected.push({layer: "SLOT" + (iSlot+1), points: slot.shims[iShim]});
+        }
+    }
+    expected.push({layer: "BBOX", points: [
+        {x: bbox.x, y: bbox.y},
+        {x: bbox.x2, y: bbox.y},
+        {x: bbox.x2, y: bbox.y2},
+        {x: bbox.x, y: bbox.y2}
+    ]});
+
+    // Entities: each one is a 0 pair followed by its group codes.
+    var entities = Array();
+    var inEntities = false;
+    for (var i = 0; i < pairs.length; i++) {
+        if (pairs[i].code == 2 && pairs[i].value == "ENTITIES") inEntities = true;
+        if (pairs[i].code != 0) {
+            if (entities.length) entities[entities.length-1].groups[pairs[i].code] = pairs[i].value;
+            continue;
+        }
+        if (pairs[i].value == "ENDSEC") inEntities = false;
+        if (inEntities) entities.push({type: pairs[i].value, groups: {}});
+    }
+    var polylines = Array();
+    for (var i = 0; i < entities.length; i++) {
+        var entity = entities[i];
+        if (entity.type == "POLYLINE") {
+            polylines.push({layer: entity.groups[8], flags: parseInt(entity.groups[70]), points: Array(), closed: false});
+        } else if (entity.type == "VERTEX" && polylines.length) {
+            polylines[polylines.length-1].points.push({x: parseFloat(entity.groups[10]), y: parseFloat(entity.groups[20])});
+        } else if (entity.type == "SEQEND" && polylines.length) {
+            polylines[polylines.length-1].closed = true;
+        } else {
+            errors.push(piece.sn + ": unexpected DXF entity " + entity.type);
+        }
+    }
+
+    if (polylines.length != expected.length) {
+        errors.push(piece.sn + ": " + polylines.length + " DXF polylines instead of " + expected.length);
+        return errors;
+    }
+    for (var i = 0; i < polylines.length; i++) {
+        var polyline = polylines[i];
+        var name = piece.sn + ": DXF polyline " + (i+1);
+        if (polyline.flags !== 1) errors.push(name + " has flags " + polyline.flags + " instead of 1 (closed)");
+        if (!polyline.closed) errors.push(name + " has no SEQEND");
+        if (polyline.layer != expected[i].layer) errors.push(name + " is on layer " + polyline.layer + " instead of " + expected[i].layer);
+        var points = expected[i].points;
+        if (polyline.points.length != points.length) {
+            errors.push(name + " has " + polyline.points.length + " vertices instead of " + points.length);
+            continue;
+        }
+        for (var iPoint = 0; iPoint < points.length; iPoint++) {
+            var x = (points[iPoint].x-bbox.x)*scale, y = (bbox.y2-points[iPoint].y)*scale;
+            if (Math.abs(polyline.points[iPoint].x-x) > epsilon || Math.abs(polyline.points[iPoint].y-y) > epsilon) {
+                errors.push(name + " vertex " + (iPoint+1) + " is " + polyline.points[iPoint].x + "," + polyline.points[iPoint].y + " instead of " + x + "," + y);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Test function validating selection sets: a set built by shim.selectionSet()
+ * validates for every ordering, and is rejected once altered, including
+ * ordering names inherited from Object such as "toString".
+ *
+ *  @return array of error messages, empty if successful.
+ */
+function testSelectionSet() {
+    var errors = Array();
+    var x = 3, y = 2, z = 2, seed = "42";
+    var pieceOptions = {cropped: false, trapezoidal: false};
+    var build = function(order) {
+        var set = {
+            x: x, y: y, z: z,
+            seed: seed,
+            g: shim.lcg_params(seed, x, y, z),
+            order: order,
+            nbPieces: shim.permutationSize(x, y, z),
+            defaultSelected: false,
+            pieceToggle: {"1": true, "2": true, "7": true},
+            nbSelected: 3n
+        };
+        return shim.selectionSet("test", set, pieceOptions, true);
+    };
+    for (var order in shim.orderings) {
+        if (shim.orderings[order].prepare) shim.orderings[order].prepare(x, y, z, pieceOptions);
+        var error = shim.validateSelectionSet(build(order));
+        if (error) errors.push("Selection set in " + order + " order is rejected: " + error);
+    }
+    var altered = {
+        "toString order": function(selection) {selection.order = "toString";},
+        "__proto__ order": function(selection) {selection.order = "__proto__";},
+        "missing order": function(selection) {delete selection.order;},
+        "wrong S/N": function(selection) {selection.pieces[0].sn = selection.pieces[1].sn;},
+        "invalid handles": function(selection) {selection.z = 4;}
+    };
+    for (var name in altered) {
+        var selection = build('lcg');
+        altered[name](selection);
+        if (!shim.validateSelectionSet(selection)) errors.push("Selection set with " + name + " is accepted");
+    }
+    return errors;
+}
+
+/** Fixed S/Ns for golden file output. */
+var goldenSNs = ["+A", "-G", "+AB", "-G2A", "+A2B2C2", "-FECD2A", "+G3AG3AG3", "-AAAAAAAAAAAAAAA"];
+
+/**
+ * Run consistency checks, reporting failures on the console.
+ *
+ *  @param options  Check options:
+ *                  - maxSize   Largest permutation size to check fully (BigInt).
+ *                  - nbSeeds   Number of seeds per composition.
+ *                  - sample    Number of sampled indices checked in larger
+ *                              permutations, 0 to skip them.
+ *                  - sampleSeed Seed of sampled indices (optional, 
+ *                              default random), printed so that failures
+ *                              can be reproduced.
+ *                  - golden    Directory of golden SVG/PDF files (optional).
+ *                  - update    Whether to write missing or differing golden
+ *                              files instead of failing.
+ *
+ *  @return number of failed checks.
+ */
+function check(options) {
+    var nbChecks = 0, nbFailed = 0, nbSkipped = 0;
+    var report = function(name, errors) {
+        nbChecks++;
+        if (errors.length) {
+            nbFailed++;
+            console.log("FAIL " + name);
+            for (var i = 0; i < errors.length; i++) {
+                console.log("    " + errors[i]);
+            }
+        }
+    };
+    var skip = function(name, reason) {
+        nbSkipped++;
+        console.log("SKIP " + name + ": " + reason);
+    };
+
+    // Permutations for every composition within the interface ranges. Seeds
+    // alternate between numbers and passphrases. Large permutations are 
+    // checked on a sample of indices, sorted orders need them all.
+    var sampleSeed = (typeof(options.sampleSeed) === 'undefined' ? String(Math.floor(Math.random() * 1e9)) : options.sampleSeed);
+    console.log("Sample seed " + sampleSeed);
+    for (var x = 1; x <= 15; x++) {
+        for (var y = 1; y <= 15; y++) {
+            for (var z = 1; z <= 3; z++) {
+                var size = shim.permutationSize(x, y, z);
+                var sample = (size > options.maxSize ? options.sample : undefined);
+                for (var s = 0; s < options.nbSeeds; s++) {
+                    var seed = shim.normalizeSeed((s % 2) ? "seed " + s : String(s*7919));
+                    var name = "permutation " + shim.composition(x, y, z, seed);
+                    if (sample === 0) {
+                        skip(name, "size " + size + " above " + options.maxSize);
+                    } else {
+                        report(name, testPermutation(x, y, z, seed, 'lcg', sample, sampleSeed));
+                    }
+                }
+                for (var order in shim.orderings) {
+                    if (order == 'lcg') continue;
+                    var name = "permutation " + shim.composition(x, y, z, "0") + " " + order;
+                    if (sample === 0 || (sample && shim.orderings[order].prepare)) {
+                        skip(name, "size " + size + " above " + options.maxSize);
+                        continue;
+                    }
+                    if (shim.orderings[order].prepare) {
+                        shim.orderings[order].prepare(x, y, z, {cropped: false, trapezoidal: false});
+                    }
+                    report(name, testPermutation(x, y, z, "0", order, sample, sampleSeed));
+                }
+            }
+        }
+    }
+
+    // Geometry of the first and last pieces of a few seeds, for every 
+    // composition and piece options.
+    var variants = [
+        {cropped: false, trapezoidal: false},
+        {cropped: true, trapezoidal: false},
+        {cropped: false, trapezoidal: true},
+        {cropped: true, trapezoidal: true}
+    ];
+    var seeds = ["0", "seed 1"];
+    for (var x = 1; x <= 15; x++) {
+        for (var y = 1; y <= 15; y++) {
+            for (var z = 1; z <= 3; z++) {
+                var size = shim.permutationSize(x, y, z);
+                for (var s = 0; s < seeds.length; s++) {
+                    var g = shim.lcg_params(seeds[s], x, y, z);
+                    var errors = Array();
+                    for (var i = 0n; i < 10n && i < size; i++) {
+                        var index = (i < 5n || size <= 10n ? i : size-10n+i);
+                        var sn = shim.generatePermutation(index, g, x, y, z);
+                        for (var v = 0; v < variants.length; v++) {
+                            errors = errors.concat(testPiece(sn, variants[v]));
+                        }
+                    }
+                    report("geometry " + shim.composition(x, y, z, seeds[s]), errors);
+                }
+            }
+        }
+    }
+
+    // Every metric must vary across the pieces of a composition with several
+    // slots and shim counts, else it tells nothing about a piece. Pieces are
+    // cropped since uncropped ones all have the shim length as height.
+    var compositions = [[5, 4, 2], [7, 5, 3], [9, 7, 2]];
+    for (var c = 0; c < compositions.length; c++) {
+        var x = compositions[c][0], y = compositions[c][1], z = compositions[c][2];
+        var g = shim.lcg_params("0", x, y, z);
+        var min = {}, max = {};
+        for (var i = 0n; i < 200n; i++) {
+            var metrics = shim.computePiece(shim.generatePermutation(i, g, x, y, z), {cropped: true}).metrics;
+            for (var name in shim.pieceMetrics) {
+                if (!(name in min) || metrics[name] < min[name]) min[name] = metrics[name];
+                if (!(name in max) || metrics[name] > max[name]) max[name] = metrics[name];
+            }
+        }
+        var errors = Array();
+        for (var name in shim.pieceMetrics) {
+            if (min[name] == max[name]) errors.push("Metric " + name + " is always " + min[name]);
+        }
+        report("metrics " + shim.composition(x, y, z, "0"), errors);
+    }
+
+    report("selection sets", testSelectionSet());
+
+    // DXF output of the golden S/Ns, in base units and at real size with a
+    // profile in real units.
+    var defaultGeometry = shim.getGeometry();
+    var profiles = [defaultGeometry, shim.geometryProfiles["Store-bought shim"]];
+    for (var iProfile = 0; iProfile < profiles.length; iProfile++) {
+        shim.setGeometry(profiles[iProfile]);
+        for (var v = 0; v < variants.length; v++) {
+            for (var i = 0; i < goldenSNs.length; i++) {
+                var piece = shim.computePiece(goldenSNs[i], variants[v]);
+                var errors = testDXF(piece);
+                for (var unit in shim.dxfUnits) {
+                    if (shim.baseUnitSize(unit)) errors = errors.concat(testDXF(piece, unit));
+                }
+                report("dxf " + goldenSNs[i] + " " + profiles[iProfile].unit + (variants[v].cropped ? " cropped" : "") + (variants[v].trapezoidal ? " trapezoidal" : ""), errors);
+            }
+        }
+    }
+    shim.setGeometry(defaultGeometry);
+
+    // Golden files, missing or differing ones are only written on update.
+    if (options.golden) {
+        fs.mkdirSync(options.golden, {recursive: true});
+        for (var v = 0; v < variants.length; v++) {
+            var suffix = (variants[v].cropped ? ".cropped" : "") + (variants[v].trapezoidal ? ".trapezoidal" : "");
+            for (var i = 0; i < goldenSNs.length; i++) {
+                var piece = shim.computePiece(goldenSNs[i], variants[v]);
+                var pdf = new jsPDF('portrait', 'pt', 'a4');
+                shim.drawPDF(piece, pdf, 1, 36, 36);
+                
+                // Strip variable creation date from PDF.
+                var outputs = {
+                    svg: shim.pieceToSVG(piece),
+                    pdf: pdf.output().replace(/\/CreationDate \([^)]*\)/, "")
+                };
+                for (var ext in outputs) {
+                    var file = path.join(options.golden, shim.pieceFileName(goldenSNs[i], 'sn') + suffix + "." + ext);
+                    var errors = Array();
+                    if (!fs.existsSync(file)) {
+                        errors.push("Missing " + file);
+                    } else if (fs.readFileSync(file, 'binary') !== outputs[ext]) {
+                        errors.push("Output differs from " + file);
+                    }
+                    if (errors.length && options.update) {
+                        fs.writeFileSync(file, Buffer.from(outputs[ext], 'binary'));
+                        console.log("UPDATE " + file);
+                        errors = Array();
+                    }
+                    report("golden " + path.basename(file), errors);
+                }
+            }
+        }
+    }
+
+    console.log(nbChecks + " checks, " + nbFailed + " failed, " + nbSkipped + " skipped");
+    return nbFailed;
+}
+
+module.exports = {
+    testPermutation: testPermutation,
+    testPiece: testPiece,
+    testSymmetry: testSymmetry,
+    testDXF: testDXF,
+    testSelectionSet: testSelectionSet,
+    check: check
+};
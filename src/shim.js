@@ -1,387 +1,102 @@
 /*
  *
- * Piece-related algorithms and functions.
+ * Interface functions.
  *
  */
 
-/** Unit conversions. */
-var unitPt = {mm: 72/25.4, cm: 72/2.54, in: 72, pt: 1}; // Conversion from point to unit. 1in = 72pt = 25.4mm
+/** Handles. */
+var x, y, z;
 
-/** Maximum seed value. */
-var MAX_SEED = 999999;
+/** Maximum theoretical piece width/height. */
+var maxWidth, maxHeight;
 
-/** Ratio between shim side and base. */
-var side = 64;
+/** Number of generated pieces (BigInt). */
+var nbPieces;
 
-/** Ratio between shim tip and base. */
-var tip = 0.25;
+/** Permutation seed. */
+var seed;
 
-/** Distance between tip and vanishing point for trapezoidal shim, used to
-    compute rotation angle of shims.
-    
-    tipSide/tip = (tipSide + side)/base, base = 1
-    tipSide = tip * (tipSide + side) = tip*tipSide + tip*side
-    tipSide - tip*tipSide = tipSide * (1-tip) = tip*side
-    tipSide = (tip*side) / (1-tip)
-*/
-var tipSide = (tip*side) / (1-tip);
+/** LCG parameters generated from seed. */
+var g;
 
-/** Angle of shim tips (in radians). Chord is 2*sin(angle/2). */
-var shimAngle3 = 2*Math.asin(0.5/side);             /* triangular. */
-var shimAngle4 = 2*Math.asin(0.5/(side+tipSide));   /* trapezoidal. */
+/** Ordering strategy name, see orderings. */
+var order;
 
-/** Size of negative space in base units. */
-var negativeSpace = 6;
+/** Columns and rows to display. */
+var columns, rows;
 
-/** Ten primes used to seed the linear congruential generator. */
-var primes = [53, 59, 61, 67, 71, 73, 79, 83, 89, 97];
+/** Column class for piece elements. */
+var colClass;
 
-/**
- * Generate increment value for linear congruential generator.
- *
- *  @param seed     Seed value whose decimal digits designate prime factors.
- *
- *  @return increment value for lcg()
- */
-function lcg_increment(seed) {
-    seed %= (MAX_SEED+1);
-    if (seed==0) return primes[0];
-    
-    var c = 1;
-    while (seed > 0) {
-        c *= primes[seed % 10];
-        seed = Math.floor(seed / 10);
-    }
-    return c;
-}
+/** Paging (BigInt). */
+var nbPages, nbPerPage;
+var currentPage;
 
-/**
- * Linear congruential generator x_n+1 = (a.x_n + c) mod m.
- *
- * Used to generate a non-repeating sequence of m=2x^y integers starting at 0.
- *
- *  @param v    Previous value.
- *  @param c    Increment.
- *  @param x    Number of shims per shim unit.
- *  @param y    Number of shim units/slots per piece.
- *
- *  @return serial number.
- */
-function lcg(v, c, x, y) {
-    // Number of desired permutations.
-    var m = 2*Math.pow(x, y);
-    
-    // LCG will have a full period if and only if:
-    // 1. c and m are relatively prime
-    // 2. a-1 is divisible by all prime factors of m
-    // 3. a-1 is a multiple of 4 if m is a multiple of 4
-    //
-    // As m=2x^Y, prime factors of m are 2 and x, if x is prime, or x's prime
-    // factors otherwise.
-    // m is multiple of 4 if and only if x is multiple of 2.
-    // #1 is met if x is less than the lowest prime factor used in 
-    // lcg_increment().
-    
-    var a = 2*x+1;  // This guarantees #2 and #3.
-    return (a*v+c) % m;
-}
+/** Infinite scroll. */
+var infiniteScroll = true;
 
-/**
- * Generate a random shim permutation.
- *
- *  @param index    Index of piece to generate.
- *  @param c        LCG increment value.
- *  @param x        Number of shims per shim unit.
- *  @param y        Number of shim units/slots per piece.
- *
- *  @return serial number.
- */
-function generatePermutation(index, c, x, y) {
-    var max = Math.pow(x, y);
+/** Default selection state. */
+var defaultSelected;
 
-    // Generate pseudorandom value in [0, 2*max) by calling LCG with sequence
-    // number using the previously computed increment value.
-    var r = lcg(index, c, x, y);
-    
-    // Sign.
-    var sign;
-    if (r < max) {
-        // Negative / downward.
-        sign = "-";
-    } else {
-        // Positive / upward.
-        sign = "+";
-        r -= max;
-    }
-    
-    // Digits.
-    var digits = "";
-    for (var i = 0; i < y; i++) {
-        digits += String.fromCharCode(65 + (r % x));
-        r = Math.floor(r/x);
-    }
-    
-    return sign + digits;
-}
+/** Piecewise selection toggle state, keyed by piece index. */
+var pieceToggle;
 
-/**
- * Test function validating the LCG-based permutation generator.
- *
- *  Avoid calling with too large values!!!
- *
- *  @param x        Number of shims per shim unit.
- *  @param y        Number of shim units/slots per piece.
- *  @param seed     Seed used to generate LCG increment value.
- */
-function testUnicity(x, y, seed) {
-    var c = lcg_increment(seed);
-    var max = 2*Math.pow(x,y);
-    var values = Array();
-    var dup = Array();
-    for (var i = 0; i < max; i++) {
-        var key = lcg(i, c, x, y);
-        if (typeof(values[key]) === 'undefined') {
-            values[key] = [i];
-        } else {
-            values[key].push(i);
-            dup[key] = values[key];
-        }
-    }
-    return {dup: dup, total: Object.keys(values).length};
-}
+/** Number of toggled pieces. */
+var nbToggle;
 
-/**
- * Rotate point *p* around center *c* by given *angle*.
- *
- *  @param c        Center of rotation.
- *  @param p        Point to rotate.
- *  @param angle    Rotation angle in radians.
- *
- *  @return Rotated point.
- */
-function rotate(c, p, angle) {
-    return {
-        x: Math.cos(angle) * (p.x-c.x) - Math.sin(angle) * (p.y-c.y) + c.x,
-        y: Math.sin(angle) * (p.x-c.x) + Math.cos(angle) * (p.y-c.y) + c.y
-    };
-}
+/** Number of selected pieces (BigInt). */
+var nbSelected;
 
-/**
- * Project line passing trought *c* and *p* on horizontal line at *y*.
- *
- *  @param c, p     Points on line to project.
- *  @param y        Y-coordinate of line to project onto.
- *
- *  @return Projected point.
- */
-function project(c, p, y) {
-    return {
-        x: c.x + (p.x-c.x) / (p.y-c.y) * (y-c.y),
-        y: y
-    };
-}
+/** Current permalink hash, used to ignore our own hash changes. */
+var currentHash;
 
-/**
- * Compute a piece from its serial number.
- *
- *  @param sn           The piece serial number.
- *  @param options      Piece options: cropped, trapezoidal.
- *
- *  @return The piece object.
- */
-function computePiece(sn, options) {
-    if (sn.length < 2 || (sn[0] != '+' && sn[0] != '-')) return;
+/** Whether session state is being restored from the permalink. */
+var restoring = false;
 
-    //
-    // 1. Iterate over slots and build shim coordinates.
-    //
-    
-    var slots = Array(); // Array of slots.
-    var nbSlots = sn.length-1;
-    var angle = options.trapezoidal ? shimAngle4 : shimAngle3;
-    var angleStep = 0; // Rotation steps, each of *angle* radians.
-    var upward = (sn[0]=='+') ? 1 : -1; // Whether first shim is pointing upward.
-    for (var iSlot = 0; iSlot < nbSlots; iSlot++) {
-        // Left tip corner of first shim.
-        var p0_tip = {x: 0, y: 0};
-            
-        // Left base corner of first shim when angle = 0 (vertical).
-        var p1_base = {x: 0, y: side*upward};
-        
-        // Rotation center.
-        var center;
-        if (options.trapezoidal) {
-            center = {x: 0, y: -tipSide*upward};
-        } else {
-            center = p0_tip;
-        }
+/** Maximum number of toggled pieces restored from permalinks & selection sets. */
+var MAX_HASH_TOGGLE = 100000;
 
-        var shims = Array();
-        slots[iSlot] = {shims: shims, angleStep: angleStep, upward: upward};
-        
-        // Iterate over shims.
-        var nbShims = sn.charCodeAt(iSlot+1)-64; /* A=65 */
-        for (var iShim = 0; iShim < nbShims; iShim++) {
-            var p0 = rotate(center, p0_tip, angleStep * angle);
-            var p1 = rotate(center, p1_base, angleStep * angle);
-            angleStep -= upward;
-            var p2 = rotate(center, p1_base, angleStep * angle);
-            if (options.trapezoidal) {
-                var p3 = rotate(center, p0_tip, angleStep * angle);
-                shims[iShim] = [p0, p1, p2, p3];
-            } else {
-                shims[iShim] = [p0, p1, p2];
-            }
-        }
-        
-        // Flip orientation of next slot.
-        upward = -upward;
-    }
-    
-    //
-    // 2. Compute piece height & shift piece vertically.
-    //
-    
-    var height;
-    if (options.cropped) {
-        // Height = min inner height of all pieces.
-        height = Number.POSITIVE_INFINITY;
-        for (var iSlot = 0; iSlot < slots.length; iSlot++) {
-            var slot = slots[iSlot];
-            var maxTip = Number.NEGATIVE_INFINITY, minBase = Number.POSITIVE_INFINITY;
-            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-                var shim = slot.shims[iShim];
-                maxTip = Math.max(maxTip, shim[0].y * slot.upward);
-                if (options.trapezoidal) maxTip = Math.max(maxTip, shim[3].y * slot.upward);
-                minBase = Math.min(minBase, shim[1].y * slot.upward, shim[2].y * slot.upward);
-            }
-            height = Math.min(height, Math.abs(maxTip-minBase));
+/** Maximum number of pieces in installation plans. */
+var MAX_INSTALL = 100;
 
-            // Shift piece to align innermost tip with zero.
-            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-                var shim = slot.shims[iShim];
-                for (var i = 0; i < shim.length; i++) {
-                    shim[i].y -= maxTip * slot.upward;
-                }
-            }
-        }
-    } else {
-        // Height = max outer height of all pieces.
-        height = 0;
-        for (var iSlot = 0; iSlot < slots.length; iSlot++) {
-            var slot = slots[iSlot];
-            var minY = Number.POSITIVE_INFINITY, maxY = Number.NEGATIVE_INFINITY;
-            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-                var shim = slot.shims[iShim];
-                for (var i = 0; i < shim.length; i++) {
-                    minY = Math.min(minY, shim[i].y);
-                    maxY = Math.max(maxY, shim[i].y);
-                }
-            }
-            height = Math.max(height, maxY-minY);
-            
-            // Shift piece to align outermost tip with zero.
-            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-                var shim = slot.shims[iShim];
-                for (var i = 0; i < shim.length; i++) {
-                    shim[i].y -= (slot.upward > 0 ? minY : maxY);
-                }
-            }
-        }
-    }
+/** Indices of displayed pieces in display order, undefined when all pieces are displayed in sequence order. */
+var filtered;
 
-    //
-    // 3. Align shim tips on bottom side.
-    //
+/** Position of displayed pieces, keyed by index. */
+var filteredPosition;
 
-    for (var iSlot = 0; iSlot < slots.length; iSlot++) {
-        var slot = slots[iSlot];
-        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-            var shim = slot.shims[iShim];
-            if (slot.upward > 0) continue;
-            for (i = 0; i < shim.length; i++) {
-                shim[i].y += height;
-            }
-        }
-    }
-        
-    //
-    // 4. Crop shims.
-    //
-    
-    if (options.cropped) {
-        // Crop slots by piece height.
-        for (var iSlot = 0; iSlot < slots.length; iSlot++) {
-            var slot = slots[iSlot];
-            for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-                var shim = slot.shims[iShim];
-                var y1 = (slot.upward > 0 ? 0 : height);
-                var y2 = (slot.upward > 0 ? height : 0);
-                var p0 = project(shim[0], shim[1], y1);
-                var p1 = project(shim[0], shim[1], y2);
-                if (options.trapezoidal) {
-                    var p2 = project(shim[3], shim[2], y2);
-                    var p3 = project(shim[3], shim[2], y1);
-                    slot.shims[iShim] = [p0, p1, p2, p3];
-                } else {
-                    var p2 = project(shim[0], shim[2], y2);
-                    slot.shims[iShim] = [p0, p1, p2];
-                }
-            }
-        }
-    }
-    
-    //
-    // 5. Build negative spaces according to alignment rules.
-    //
-    //  - Project previous slot's right side on next slot's tip side
-    //  - Project curent slot's left side on tip side
-    //  - Shift by distance + negative space.
-    //
-
-    for (var iSlot = 1; iSlot < slots.length; iSlot++) {
-        var slot = slots[iSlot];
-        var y = slot.upward > 0 ? 0 : height;
-        var prevSlot = slots[iSlot-1];
-        var prevShim = prevSlot.shims[prevSlot.shims.length-1];
-        var prevP = project(
-            options.trapezoidal ? prevShim[3] : prevShim[0],
-            prevShim[2],
-            y
-        );
-        var p = project(slot.shims[0][0], slot.shims[0][1], y);
-        var shift = prevP.x - p.x + negativeSpace;
-        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-            var shim = slot.shims[iShim];
-            for (i = 0; i < shim.length; i++) {
-                shim[i].x += shift;
-            }
-        }
-    }
-    
-    //
-    // 6. Compute bounding box.
-    //
-    
-    var x=0, y=0, x2=0, y2=0;
-    for (var iSlot = 0; iSlot < slots.length; iSlot++) {
-        var slot = slots[iSlot];
-        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-            var shim = slot.shims[iShim];
-            for (i = 0; i < shim.length; i++) {
-                x = Math.min(x, shim[i].x);
-                y = Math.min(y, shim[i].y);
-                x2 = Math.max(x2, shim[i].x);
-                y2 = Math.max(y2, shim[i].y);
-            }
-        }
-    }
-    
-    return {sn: sn, slots: slots, bbox: {x: x, y: y, x2: x2, y2: y2}};
-}
+/** Sequence number of the latest filter run, see updateFilter(). */
+var filterRun = 0;
+
+/** Maximum number of pieces for statistics. */
+var MAX_STATS = 20000;
+
+/** Index of the piece shown in the full-screen viewer. */
+var viewerIndex;
+
+/** Position of the piece shown in the full-screen viewer among the displayed pieces. */
+var viewerPosition;
+
+/** Slideshow timer of the full-screen viewer. */
+var viewerTimer;
+
+/** Touch start position for swipe gestures in the full-screen viewer. */
+var viewerTouch;
+
+/** S/Ns of pieces pinned to the comparison tray, in display order. */
+var pinned = [];
+
+/** Colors of pinned pieces, cycled through. */
+var PIN_COLORS = ["#000000", "#d9534f", "#428bca", "#5cb85c", "#f0ad4e", "#9b59b6", "#1abc9c", "#7f8c8d"];
+
+/** Names of built-in geometry profiles, see geometryProfiles. */
+var builtinGeometryProfiles;
+
+/** Names of built-in render themes, see renderThemes. */
+var builtinRenderThemes;
 
 /**
- * Output a piece as SVG.
+ * Output a piece as SVG in the active render theme.
  *
  *  @param piece        The piece data.
  *  @param element      DOM element for output (optional).
@@ -391,616 +106,130 @@ function computePiece(sn, options) {
 function drawSVG(piece, element) {
     var svg = Snap(element);
     svg.clear();
-    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
-        var slot = piece.slots[iSlot];
-        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-            var shim = slot.shims[iShim];
-            var coords = Array();
-            for (var i = 0; i < shim.length; i++) {
-                coords.push(shim[i].x, shim[i].y);
-            }
-            svg.polygon(coords).attr('class', "shim");
-        }
-    }
-    svg.rect(
-        piece.bbox.x, piece.bbox.y,
-        piece.bbox.x2-piece.bbox.x,
-        piece.bbox.y2-piece.bbox.y
-    ).attr('class', "bbox");
+    svg.attr({
+        fill: "none",
+        stroke: renderTheme.stroke,
+        'stroke-width': renderTheme.strokeWidth
+    });
+    svg.append(Snap.parse(pieceSVGElements(piece, true)));
     return svg;
 }
 
 /**
- * Draw a piece into a PDF document.
+ * Validation for number inputs. Replace the input value with a reasonable
+ * number:
  *
- *  @param piece        The piece data.
- *  @param pdf          jsPDF document.
- *  @param scale        Scaling factor.
- *  @param offX, offY   Position of top-left corner.
+ *  - floating point strings are rounded to the nearest step value toward zero.
+ *  - final value is kept between min and max.
+ *  - non-numeric strings are replaced by zero or the min value.
  */
-function drawPDF(piece, pdf, scale, offX, offY) {
-    // Line width. Use same for shims and bbox.
-    pdf.setLineWidth(0.05*scale);
-    
-    for (var iSlot = 0; iSlot < piece.slots.length; iSlot++) {
-        var slot = piece.slots[iSlot];
-        for (var iShim = 0; iShim < slot.shims.length; iShim++) {
-            var shim = slot.shims[iShim];
-            var lines = Array();
-            for (var i = 0; i < shim.length; i++) {
-                lines.push([
-                    shim[(i+1)%shim.length].x-shim[i].x,
-                    shim[(i+1)%shim.length].y-shim[i].y
-                ]);
-            }
-            pdf.lines(
-                lines,
-                shim[0].x*scale+offX, shim[0].y*scale+offY,
-                [scale, scale],
-                'D'
-            );
-            
-        }
+function validateNumber() {
+    var min = $(this).attr('min'); if (!$.isNumeric(min)) min = Number.NEGATIVE_INFINITY;
+    var max = $(this).attr('max'); if (!$.isNumeric(max)) max = Number.POSITIVE_INFINITY;
+    var step = $(this).attr('step'); if (!$.isNumeric(step)) step = 1;
+    this.value = parseFloat((Math.round(parseFloat(this.value)/step)*step).toPrecision(12));
+    this.value = Math.max(min, Math.min(max, this.value));
+}
+
+/**
+ * Ensure that permutation is not too large for sorted orders. Else disable
+ * interface elements. Also keep the nb piece input consistent with X/Y/Z 
+ * handles when max checkbox is on. Permutations of any size are otherwise
+ * supported as piece indices are BigInts.
+ */ 
+function validatePermutationSize() {
+    var x = parseInt($("#x").val());
+    var y = parseInt($("#y").val());
+    var z = parseInt($("#z").val());
+    var nbPieces = permutationSize(x, y, z);
+    $("#orderHelp").text(orderings[$("#order").val()].note || "Piece Traversal Order.");
+    if (orderings[$("#order").val()].sorted && nbPieces > BigInt(MAX_SORTED)) {
+        // Permutation too large for sorted orders.
+        $("#generate").removeClass("btn-primary").addClass("btn-danger").prop('disabled', true);
+        $("#x, #y, #z, #order").parent().addClass("has-error bg-danger");
+        $("#message").addClass("panel-body").html("<div class='alert alert-danger'><span class='glyphicon glyphicon-warning-sign'></span> Permutation size too large for sorted order!</div>");
+    } else {
+        $("#generate").removeClass("btn-danger").addClass("btn-primary").prop('disabled', false);
+        $("#x, #y, #z, #order").parent().removeClass("has-error bg-danger");
+        $("#message").removeClass("panel-body").empty();
     }
-    pdf.rect(
-        piece.bbox.x*scale+offX, piece.bbox.y*scale+offY, 
-        (piece.bbox.x2-piece.bbox.x)*scale, (piece.bbox.y2-piece.bbox.y)*scale, 
-        'D'
-    );
+	
+	// Handle nb pieces input and max checkbox.
+	if ($("#max").prop('checked')) {
+		if (!$("#nbPieces").prop('disabled')) {
+			$("#oldNbPieces").val($("#nbPieces").val());
+		}
+		$("#nbPieces").prop('disabled', true).val(nbPieces.toString());
+	} else {
+		if ($("#nbPieces").prop('disabled')) {
+			$("#nbPieces").prop('disabled', false).val($("#oldNbPieces").val());
+		}
+	}
 }
 
 /**
- * Generate a multi-page PDF from a set of pieces.
- *
+ * Generate a new set of pieces.
  *
- *  @param pieceOptions     Piece options: cropped, trapezoidal.
- *  @param printOptions     Print options:
- *                          - orient    Orientation ('portrait', 'landscape').
- *                          - format    Page format ('a3', 'a4','a5' ,'letter' ,'legal').
- *                          - sides     Print mode ('single', 'double')
- *                          - margins   Margins in unit values {top, bottom, left, right}
- *                          - padding   Padding between pieces in unit values
- *                          - unit      Base measurement unit ('mm', 'cm', 'in', 'pt')
- *                          - justif    Justification ('left', 'center', 'right')
- *                          - cols      Minimum number of columns per page.
- *                          - rows      Minimum number of rows per page.
- *                          - compoPos  Composition number position ('none', 'header','footer').
- *                          - pageNbPos Page number position ('none', 'header','footer').
- *                          - labelPos  Piece S/N label position ('none', 'top','bottom').
- *  @param limits           Output limits:
- *                          - maxPieces        Maximum overall number of pieces to print.
- *                          - maxPiecesPerDoc  Maximum number of pieces per document.
- *                          - maxPagesPerDoc   Maximum number of pages per document.
- *  @param onprogress       Progress callback, called with args (nb, nbPrint, page, nbPages, doc, nbDocs).
- *  @param onfinish         Finish callback.
- */
-function piecesToPDF(pieceOptions, printOptions, limits, onprogress, onfinish) {
-    var fontSizePt = 10; /* pt */
-    
-    // Create jsPDF object.
-    var pdf = new jsPDF(printOptions.orient, printOptions.unit, printOptions.format);
-    var onePt = 1 / pdf.internal.scaleFactor;
-    pdf.setFontSize(fontSizePt);
-    var fontSizeUnit = fontSizePt * onePt;
-    
-    // Outer size of the page, i.e. full size minus margins.
-    var outerWidth = 
-          pdf.internal.pageSize.width 
-        - (printOptions.margins.left+printOptions.margins.right);   // Horizontal margins.
-    var outerHeight =
-          pdf.internal.pageSize.height
-        - (printOptions.margins.top+printOptions.margins.bottom);    // Vertical margins.
-        
-    // Inner size of the page, i.e. outer size minus header and footer.
-    var header = (printOptions.compoPos == 'top' || printOptions.pageNbPos == 'top');
-    var footer = (printOptions.compoPos == 'bottom' || printOptions.pageNbPos == 'bottom');
-    var innerWidth = outerWidth;
-    var innerHeight =
-          outerHeight
-        - (header ? fontSizeUnit+printOptions.padding : 0)          // Header.
-        - (footer ? fontSizeUnit+printOptions.padding : 0);         // Footer.
-        
-    // Compute scaling and actual number of rows/cols.
-    var availWidth = innerWidth - printOptions.padding*(printOptions.cols-1);
-    var availHeight = innerHeight - printOptions.padding*(printOptions.rows-1);
-    var pieceWidth = availWidth / printOptions.cols;
-    var pieceHeight = availHeight / printOptions.rows - (printOptions.labelPos == 'none' ? 0 : fontSizeUnit);
-    var scale = Math.min(pieceWidth/maxWidth, pieceHeight/maxHeight);
-    pieceWidth = maxWidth*scale;
-    pieceHeight = maxHeight*scale + (printOptions.labelPos == 'none' ? 0 : fontSizeUnit);
-    printOptions.cols = Math.floor((innerWidth + printOptions.padding) / (pieceWidth + printOptions.padding));
-    printOptions.rows = Math.floor((innerHeight + printOptions.padding) / (pieceHeight + printOptions.padding));
-    
-    // Max number of pieces per page.
-    var nbPiecesPerPage = printOptions.cols*printOptions.rows;
-    
-    // Actual number of pieces.
-    var nbPrint = Math.min(nbSelected, limits.maxPieces);
-    
-    // Actual number of pages per document.
-    var nbPagesPerDoc = Math.min(Math.ceil(limits.maxPiecesPerDoc/nbPiecesPerPage), limits.maxPagesPerDoc);
-    
-    // Actual number of pages overall.
-    var nbPages = Math.ceil(nbPrint/nbPiecesPerPage);
-    
-    // Actual number of docs.
-    var nbDocs = Math.ceil(nbPages/nbPagesPerDoc);
-    
-    // Variables for output.
-    var col = 0, row = 0, nb = 0, page = 1, firstPage = 1, doc = 1;
-    
-    // Function for header/footer output.
-    var compo = x+"-"+y+"-"+seed;
-    var compoWidth = pdf.getStringUnitWidth(compo) * fontSizeUnit;
-    var headerFooter = function() {
-        // DEBUG
-        // pdf.rect(
-            // printOptions.margins.left, printOptions.margins.top,
-            // outerWidth, outerHeight,
-            // 'D'
-        // );
-        // pdf.rect(
-            // printOptions.margins.left, printOptions.margins.top + (header ? fontSizeUnit + printOptions.padding : 0),
-            // innerWidth, innerHeight,
-            // 'D'
-        // );
-        
-        var compoX, compoY, compoJustif;
-        var pageNbX, pageNbY, pageNbJustif;
-        var pagNbWidth = pdf.getStringUnitWidth(page.toString()) * fontSizeUnit;
-        
-        // Horizontal positions.
-        if (printOptions.pageNbPos == printOptions.compoPos && printOptions.compoPos != 'none') {   
-            // Composition and page number side-by-side.
-            switch (printOptions.justif) {
-                case 'center':
-                    // Page number on right/outside.
-                    if (printOptions.sides == 'double' && (page % 2) == 0) {
-                        compoJustif = 'right';
-                        pageNbJustif = 'left';
-                    } else {
-                        compoJustif = 'left';
-                        pageNbJustif = 'right';
-                    }
-                    break;
-                
-                case 'left': 
-                    // Composition on left.
-                    compoJustif = 'left';
-                    pageNbJustif = 'right';
-                    break;
-                    
-                case 'right': 
-                    // Composition on right.
-                    compoJustif = 'right';
-                    pageNbJustif = 'left';
-                    break;
-            }
-        } else {
-            compoJustif = pageNbJustif = printOptions.justif;
-        }
-        switch (compoJustif) {
-            case 'center':
-                compoX = printOptions.margins.left + (innerWidth - compoWidth)/2;
-                break;
-                
-            case 'left':
-                compoX = printOptions.margins.left;
-                break;
-                
-            case 'right':
-                compoX = printOptions.margins.left + (innerWidth - compoWidth);
-                break;
-        }
-        switch (pageNbJustif) {
-            case 'center':
-                pageNbX = printOptions.margins.left + (innerWidth - pagNbWidth)/2;
-                break;
-                
-            case 'left':
-                pageNbX = printOptions.margins.left;
-                break;
-                
-            case 'right':
-                pageNbX = printOptions.margins.left + (innerWidth - pagNbWidth);
-                break;
-        }
-        
-        // Output composition number.
-        switch (printOptions.compoPos) {
-            case 'top':
-                compoY = printOptions.margins.top + fontSizeUnit - onePt;
-                pdf.text(compoX, compoY, compo);
-                break;
-            case 'bottom':
-                compoY = pdf.internal.pageSize.height - printOptions.margins.bottom;
-                pdf.text(compoX, compoY, compo);
-                break;
-        }
-        
-        // Output page number.
-        switch (printOptions.pageNbPos) {
-            case 'top':
-                pageNbY = printOptions.margins.top + fontSizeUnit - onePt;
-                pdf.text(pageNbX, pageNbY, page.toString());
-                break;
-            case 'bottom':
-                pageNbY = pdf.internal.pageSize.height - printOptions.margins.bottom;
-                pdf.text(pageNbX, pageNbY, page.toString());
-                break;
-        }
-    };
-    
-    // Function for drawing a piece given its index.
-    var draw = function(i) {
-        // Next column.
-        if (nb > 0 && ++col >= printOptions.cols) {
-            // Next row.
-            col = 0;
-            if (++row >= printOptions.rows) {
-                // Next page.
-                row = 0;
-                if ((page % nbPagesPerDoc) == 0) {
-                    // Next doc.
-                    save();
-                    pdf = new jsPDF(printOptions.orient, printOptions.unit, printOptions.format);
-                    pdf.setFontSize(fontSizePt);
-                    page++;
-                    firstPage = page;
-                } else {
-                    pdf.addPage();
-                    page++;
-                }
-                
-                // Invert justification on even pages in double-sided mode.
-                if (printOptions.sides == 'double') {
-                    switch (printOptions.justif) {
-                        case 'left': printOptions.justif = 'right'; break; 
-                        case 'right': printOptions.justif = 'left'; break; 
-                    }
-                }
-                headerFooter();
-            }
-        }
-        
-        // Compute piece/
-        var sn = generatePermutation(i, c, x, y)
-        var piece = computePiece(sn, pieceOptions);
+ *  @param ondone   Called once pieces are displayed (optional).
+ */
+function generatePieces(ondone) {
+    $("#zip").prop('disabled', false);
+    $("#print").prop('disabled', false);
 
-        var labelWidth = pdf.getStringUnitWidth(sn) * fontSizeUnit;
+    // Get algorithm handles.
+    x = parseInt($("#x").val());
+    y = parseInt($("#y").val());
+    z = parseInt($("#z").val());
 
-        // Offset in gridded layout.
-        var offX = printOptions.margins.left + (pieceWidth + printOptions.padding) * col;
-        var offY = printOptions.margins.top + (header ? fontSizeUnit + printOptions.padding : 0) + (pieceHeight + printOptions.padding) * row;
-        
-        // Justification.
-        var labelX = offX;
-        var shiftRight = innerWidth - (pieceWidth * printOptions.cols) - (printOptions.padding * (printOptions.cols - 1));
-
-        // DEBUG
-        // switch (printOptions.justif) {
-            // case 'left':   pdf.rect(offX, offY, pieceWidth, pieceHeight, 'D'); break;
-            // case 'center': pdf.rect(offX+shiftRight/2, offY, pieceWidth, pieceHeight, 'D'); break;
-            // case 'right':  pdf.rect(offX+shiftRight, offY, pieceWidth, pieceHeight, 'D'); break;
-        // }
-        // switch (printOptions.justif) {
-            // case 'center':
-                // offX += (pieceWidth - (piece.bbox.x2-piece.bbox.x)*scale + shiftRight)/2;
-                // labelX += (pieceWidth - labelWidth + shiftRight)/2;
-                // break;
-                
-            // case 'right':
-                // offX += (pieceWidth - (piece.bbox.x2-piece.bbox.x)*scale + shiftRight);
-                // labelX += (pieceWidth - labelWidth + shiftRight);
-                // break;
-        // }
-        
-        switch (printOptions.labelPos) {
-            case 'top':
-                pdf.text(labelX, offY + fontSizeUnit - onePt*2, sn);
-                offY += fontSizeUnit;
-                break;
-            case 'bottom':
-                pdf.text(labelX, offY + pieceHeight, sn);
-                break;
-        }
-        drawPDF(piece, pdf, scale, offX, offY);
-        nb++;
-    }
-    
-    // Function for periodic saving.
-    var save = function() {
-        // Save current PDF document.
-        saveAs(new Blob([pdf.output()], {type: 'application/pdf'}), compo+"."+firstPage+"-"+page+".pdf");
-        onprogress(nb, nbPrint, page, nbPages, doc, nbDocs);
-        doc++;
+    // Number of pieces to generate.
+    if ($("#max").prop('checked')) {
+        // Use max number of pieces.
+        nbPieces = permutationSize(x, y, z);
+    } else {
+        nbPieces = BigInt(parseInt($("#nbPieces").val()));
     }
     
-    
-    //
-    // Now output all pieces!
-    //
-    
-    // First page header.
-    headerFooter();
-    if (defaultSelected) {
-        // All pieces but toggled ones.
-        var i = 0;
-        var step = 100;
-        var drawBg = function() {
-            for (; i < nbPieces; i++) {
-                if (pieceToggle[i]) continue;
-                draw(i);
-
-                if (nb >= nbPrint) {
-                    save();
-                    setTimeout(onfinish, 0);
-                    return;
-                }
-                
-                if ((nb % step) == 0) {
-                    onprogress(nb, nbPrint, page, nbPages, doc, nbDocs);
-                    setTimeout(drawBg, 0);
-                    i++;
-                    break;
-                }
-            }
-        }
-        drawBg();
-    } else {
-        // Only toggled pieces
-        // Note: no progress here, we expect the number of pieces to be small.
-        for (var i in pieceToggle) {
-            draw(parseInt(i));
+    // Maximum theoretical piece width/height.
+    var maxSize = maxPieceSize(x, y, z);
+    maxWidth = maxSize.width;
+    maxHeight = maxSize.height;
 
-            if (nb >= nbPrint) {
-                save();
-                setTimeout(onfinish, 0);
-                return;
-            }
-        }
+    // Get/generate seed.
+    if ($("#random").prop('checked')) {
+        // Generate random seed.
+        seed = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
+        $("#seed").val(seed);
     }
-}
-
-/**
- * Generate a Zip archive of SVG files from a set of pieces.
- *
- *  @param pieceOptions     Piece options: cropped, trapezoidal.
- *  @param limits           Output limits:
- *                          - maxPieces        Maximum overall number of pieces to export.
- *                          - maxPiecesPerZip  Maximum number of pieces per Zip file.
- *  @param onprogress       Progress callback, called with args (nb, nbPrint, page, nbPages, doc, nbDocs).
- *  @param onfinish         Finish callback.
- */
-function piecesToZip(pieceOptions, limits, onprogress, onfinish) {
-    // Create JSZip object.
-    var zip = new JSZip();
+    seed = normalizeSeed($("#seed").val());
+    $("#seed").val(seed);
     
-    // Actual number of pieces.
-    var nbSvg = Math.min(nbSelected, limits.maxPieces);
+    // LCG parameters.
+    g = lcg_params(seed, x, y, z);
     
-    // Actual number of Zip files.
-    var nbFiles = Math.ceil(nbSvg/limits.maxPiecesPerZip);
-    
-    // Output each piece as SVG file.
-    var svgTmp = $("#tmpSvg svg")[0];
-    var nb = 0, file = 1;
-    var generateSvg = function(i) {
-        if (nb > 0 && (nb % limits.maxPiecesPerZip) == 0) {
-            // Next file.
-            save();
-            zip = new JSZip();
-        }
-        
-        // Generate SVG from piece.
-        var sn = generatePermutation(i, c, x, y)
-        var piece = computePiece(sn, pieceOptions);
-        var svg = drawSVG(piece, svgTmp);
-        svg.attr('viewBox', 
-            piece.bbox.x 
-            + " " + piece.bbox.y 
-            + " " 
-            + (piece.bbox.x2-piece.bbox.x) 
-            + " " 
-            + (piece.bbox.y2-piece.bbox.y)
-        );
-        svg.attr({fill: 'none', stroke: 'black', strokeWidth: 0.1});
-        
-        // Add SVG to Zip file.
-        zip.file(sn + ".svg", svg.outerSVG());
-        nb++;
-    }
-    var save = function() {
-        saveAs(zip.generate({type: 'blob', compression: 'DEFLATE'}), x+"-"+y+"-"+seed+((nbFiles > 1) ? "."+file : "")+".zip");
-        onprogress(nb, nbSvg, undefined, undefined, file, nbFiles);
-        file++;
+    // Ordering strategy, sorted orders compute all pieces upfront.
+    order = $("#order").val();
+    if (orderings[order].prepare) {
+        orderings[order].prepare(x, y, z, {
+            cropped: $("#cropped").prop('selected'), 
+            trapezoidal:$("#trapezoidal").prop('selected')
+        });
     }
     
-    if (defaultSelected) {
-        // All pieces but toggled ones.
-        var i = 0;
-        var step = 100;
-        var generateBg = function() {
-            for (; i < nbPieces; i++) {
-                if (pieceToggle[i]) continue;
-                generateSvg(i);
-
-                if (nb >= nbSvg) {
-                    save();
-                    setTimeout(onfinish, 0);
-                    return;
-                }
-                
-                if ((nb % step) == 0) {
-                    onprogress(nb, nbSvg, undefined, undefined, file, nbFiles);
-                    setTimeout(generateBg, 0);
-                    i++;
-                    break;
-                }
-            }
-        }
-        generateBg();
-    } else {
-        // Only toggled pieces
-        // Note: no progress here, we expect the number of pieces to be small.
-        for (var i in pieceToggle) {
-            generateSvg(parseInt(i));
-
-            if (nb >= nbSvg) {
-                save();
-                setTimeout(onfinish, 0);
-                return;
-            }
-        }
-    }
-}
-
-
-/*
- *
- * Interface functions.
- *
- */
-
-/** Handles. */
-var x, y;
-
-/** Maximum theoretical piece width/height. */
-var maxWidth, maxHeight;
-
-/** Number of generated pieces. */
-var nbPieces;
-
-/** Permutation seed. */
-var seed;
-
-/** LCG increment value generated from seed. */
-var c;
-
-/** Columns and rows to display. */
-var columns, rows;
-
-/** Column class for piece elements. */
-var colClass;
-
-/** Paging. */
-var nbPages, nbPerPage;
-var currentPage;
-
-/** Infinite scroll. */
-var infiniteScroll = true;
-
-/** Default selection state. */
-var defaultSelected;
-
-/** Piecewise selection toggle state. */
-var pieceToggle;
-
-/** Number of toggled pieces. We can't rely on pieceToggle.length because JS 
- *  may switch between vector and object for sparse array storage. */
-var nbToggle;
-
-/** Number of selected pieces. */
-var nbSelected;
-
-/**
- * Validation for number inputs. Replace the input value with a reasonable
- * number:
- *
- *  - floating point strings are rounded to the nearest step value toward zero.
- *  - final value is kept between min and max.
- *  - non-numeric strings are replaced by zero or the min value.
- */
-function validateNumber() {
-    var min = $(this).attr('min'); if (!$.isNumeric(min)) min = Number.NEGATIVE_INFINITY;
-    var max = $(this).attr('max'); if (!$.isNumeric(max)) max = Number.POSITIVE_INFINITY;
-    var step = $(this).attr('step'); if (!$.isNumeric(step)) step = 1;
-    this.value = parseFloat((Math.round(parseFloat(this.value)/step)*step).toPrecision(12));
-    this.value = Math.max(min, Math.min(max, this.value));
-}
-
-/**
- * Ensure that permutation is not too large. Else disable interface elements. 
- * Also keep the nb piece input consistent with X/Y handles when max checkbox 
- * is on.
- */ 
-function validatePermutationSize() {
-    var x = parseInt($("#x").val());
-    var y = parseInt($("#y").val());
-    var nbPieces = 2*Math.pow(x,y);
-    if (nbPieces > Number.MAX_SAFE_INTEGER) {
-        // Permutation too large.
-        $("#generate").removeClass("btn-default").addClass("btn-danger").prop('disabled', true);
-        $("#x, #y").parent().addClass("has-error bg-danger");
-        $("#message").addClass("panel-body").html("<div class='alert alert-danger'><span class='glyphicon glyphicon-warning-sign'></span> Permutation size too large!</div>");
-    } else {
-        $("#generate").removeClass("btn-danger").addClass("btn-primary").prop('disabled', false);
-        $("#x, #y").parent().removeClass("has-error bg-danger");
-        $("#message").removeClass("panel-body").empty();
-    }
-	
-	// Handle nb pieces input and max checkbox.
-	if ($("#max").prop('checked')) {
-		if (!$("#nbPieces").prop('disabled')) {
-			$("#oldNbPieces").val($("#nbPieces").val());
-		}
-		$("#nbPieces").prop('disabled', true).val(nbPieces);
-	} else {
-		if ($("#nbPieces").prop('disabled')) {
-			$("#nbPieces").prop('disabled', false).val($("#oldNbPieces").val());
-		}
-	}
-}
-
-/**
- * Generate a new set of pieces.
- */
-function generatePieces() {
-    $("#zip").prop('disabled', false);
-    $("#print").prop('disabled', false);
-
-    // Get algorithm handles.
-    x = parseInt($("#x").val());
-    y = parseInt($("#y").val());
-
-    // Number of pieces to generate.
-    nbPieces = parseInt($("#nbPieces").val());
-    if ($("#max").prop('checked')) {
-        // Use max number of pieces.
-        nbPieces = 2*Math.pow(x,y);
-    }
-    
-    // Maximum theoretical piece width/height.
-    maxWidth = Math.ceil(y/2)*x + (negativeSpace+tip)*(y-1);
-    maxHeight = side+tip;
-
-    // Get/generate seed.
-    if ($("#random").prop('checked')) {
-        // Generate random seed.
-        seed = Math.floor(Math.random() * (MAX_SEED+1));
-        $("#seed").val(seed);
-    }
-    seed = parseInt($("#seed").val());
-    seed %= (MAX_SEED+1);
-    
-    // LCG increment value.
-    c = lcg_increment(seed);
-    
-    // Set default selection state.
-    defaultSelected = true;
-    pieceToggle = Array();
-    nbToggle = 0;
-    updateSelected();
-    
-    // Adjust column layout.
-    columns = parseInt($("#columns").val());
-    switch (columns) {
-        case 0:
-            // Automatic, use 4-column responsive layout.
-            columns = 4;
-            colClass = "col-xs-12";
-            if (nbPieces >= 2) {
-                colClass += " col-sm-6";
+    // Set default selection state.
+    defaultSelected = true;
+    pieceToggle = {};
+    nbToggle = 0;
+    updateSelected();
+    
+    // Adjust column layout.
+    columns = parseInt($("#columns").val());
+    switch (columns) {
+        case 0:
+            // Automatic, use 4-column responsive layout.
+            columns = 4;
+            colClass = "col-xs-12";
+            if (nbPieces >= 2) {
+                colClass += " col-sm-6";
             }
             if (nbPieces >= 3) {
                 colClass += " col-md-4";
@@ -1032,22 +261,37 @@ function generatePieces() {
     }
     rows = parseInt($("#rows").val());
     
-    // Paging.
-    nbPerPage = columns*rows;
-    nbPages = Math.ceil(nbPieces/nbPerPage);
-
-    // Display first page
-    displayPieces(0);
+    nbPerPage = BigInt(columns*rows);
+    
+    // Filter.
+    updateFilter(function() {
+        updateSelected();
+        
+        // Paging.
+        nbPages = (nbShown() + nbPerPage - 1n) / nbPerPage;
+
+        // Display first page, pinned pieces are kept at the new scale.
+        displayPieces(0);
+        updateTray();
+        updateHash(true);
+        if (ondone) ondone();
+    });
 }
 
 /** 
  * Display pieces for a given page.
  *
- *  @param page     Page number (zero-indexed).
+ *  @param page     Page number (zero-indexed), as Number, BigInt or string.
  */
 function displayPieces(page) {
     // Sanity check.
-    page = Math.max(0, Math.min(page, nbPages-1));
+    page = BigInt(page);
+    if (page > nbPages-1n) page = nbPages-1n;
+    if (page < 0n) page = 0n;
+    
+    // In infinite scroll mode, pages are appended to the visible ones unless
+    // jumping to an arbitrary page.
+    var append = (infiniteScroll && typeof(currentPage) !== 'undefined' && page == currentPage+1n);
 	currentPage = page;
     
     // Display toolbar.
@@ -1058,143 +302,1575 @@ function displayPieces(page) {
 		var $pager = $("#pager");
 		$pager.empty();
 		if (nbPages > 1) {
+			// Previous/next pages. Page numbers are quoted to preserve BigInt precision.
+			var prev = (page > 0n) ? page-1n : 0n;
+			var next = (page < nbPages-1n) ? page+1n : nbPages-1n;
+			
 			// Standard pager.
-			$("<button type='button' class='btn btn-default form-control' onclick='displayPieces(" + Math.max(0,page-1) + ")'><span class='icon icon-arrow-left'></span><span class='sr-only'> Prev</span></button>")
-				.prop('disabled', page==0)
+			$("<button type='button' class='btn btn-default form-control' onclick='displayPieces(\"" + prev + "\")'><span class='icon icon-arrow-left'></span><span class='sr-only'> Prev</span></button>")
+				.prop('disabled', page==0n)
 				.appendTo($pager);
-			for (var i = 0; i < nbPages; i++) {
-				if (nbPages > 10) {
+			for (var i = 0n; i < nbPages; i++) {
+				if (nbPages > 10n) {
 					// Limit buttons to 10, add ellipses for missing buttons.
-					if (page < 5) {
-						if (i == 8) {
+					if (page < 5n) {
+						if (i == 8n) {
 							// Ellipsis at end.
 							$("<button type='button' class='btn btn-default form-control' disabled>...</button>")
 								.appendTo($pager);
-							i = nbPages-2;
+							i = nbPages-2n;
 							continue;
 						}
-					} else if (page >= nbPages-5) {
-						if (i == 1) {
+					} else if (page >= nbPages-5n) {
+						if (i == 1n) {
 							// Ellipsis at beginning.
 							$("<button type='button' class='btn btn-default form-control' disabled>...</button>")
 								.appendTo($pager);
-							i = nbPages-9;
+							i = nbPages-9n;
 							continue;
 						}
 					} else {
-						if (i == 1) {
+						if (i == 1n) {
 							// Ellipsis at beginning.
 							$("<button type='button' class='btn btn-default form-control' disabled>...</button>")
 								.appendTo($pager);
-							i = page-3;
+							i = page-3n;
 							continue;
-						} else if (i == page+3) {
+						} else if (i == page+3n) {
 							// Ellipsis at end.
 							$("<button type='button' class='btn btn-default form-control' disabled>...</button>")
 								.appendTo($pager);
-							i = nbPages-2;
+							i = nbPages-2n;
 							continue;
 						}
 					}
 				}
-				$("<button type='button' class='btn btn-default form-control' onclick='displayPieces(" + i + ")'>" + (i+1) + "</button>")
+				$("<button type='button' class='btn btn-default form-control' onclick='displayPieces(\"" + i + "\")'>" + (i+1n) + "</button>")
 					.toggleClass('active', page==i)
 					.appendTo($pager);
 			}
-			$("<button type='button' class='btn btn-default form-control' onclick='displayPieces(" + Math.min(page+1,nbPages-1) + ")'><span class='icon icon-arrow-right'></span><span class='sr-only'> Next</span></button>")
-				.prop('disabled', page==nbPages-1)
+			$("<button type='button' class='btn btn-default form-control' onclick='displayPieces(\"" + next + "\")'><span class='icon icon-arrow-right'></span><span class='sr-only'> Next</span></button>")
+				.prop('disabled', page==nbPages-1n)
 				.appendTo($pager);
 			$pager.find("button").wrap("<div class='form-group col-sm-1'></div>");
 			
 			// Small pager for XS devices.
-			$("#prevPage").prop('disabled', page==0).attr('onclick', "displayPieces(" + Math.max(0,page-1) + ")");
-			$("#nextPage").prop('disabled', page==nbPages-1).attr('onclick', "displayPieces(" + Math.min(page+1,nbPages-1) + ")");
-			$("#currentPage").html(page+1);
-			$("#totalPages").html(nbPages);
+			$("#prevPage").prop('disabled', page==0n).attr('onclick', "displayPieces('" + prev + "')");
+			$("#nextPage").prop('disabled', page==nbPages-1n).attr('onclick', "displayPieces('" + next + "')");
+			$("#currentPage").html((page+1n).toString());
+			$("#totalPages").html(nbPages.toString());
 		}
 	}
 	
     var $pieces = $("#pieces");
-    if (!infiniteScroll || page == 0) {
-		// Clear existing pieces in paged mode.
+    if (!append) {
+		// Clear existing pieces in paged mode or when jumping to a page.
 		$pieces.empty();
 	}
     
     // Generate piece output elements.
     var begin = nbPerPage*page;
-    var end = Math.min(begin+nbPerPage, nbPieces);
-    for (var i = begin; i < end; i++) {
+    var end = (begin+nbPerPage < nbShown()) ? begin+nbPerPage : nbShown();
+    for (var position = begin; position < end; position++) {
+        var i = shownIndex(position);
+        
         // Selection state.
         var selected = defaultSelected;
         if (pieceToggle[i]) selected = !selected;
         
         var piece = "<div id='piece-" + i + "' class='form-inline piece " + (selected?"selected ":"") + colClass + "'>";
         piece += "<div class='input-group'>";
-        piece += "<label class='input-group-addon'><input id='piece-select-" + i + "' class='piece-select' data-piece='" + i + "' type='checkbox' onclick='togglePiece(" + i + ")' " + (selected?" checked":"") + "/><span></span></label>";
-        piece += "<input type='text' class='form-control sn' readonly placeholder='Piece S/N' value='" + generatePermutation(i, c, x, y) + "' size='" + y + "'/>";
-        piece += "<span class='input-group-addon input-group-btn'><button type='button' class='btn btn-primary' onclick='downloadSVG($(this).parent().parent().find(\".sn\").val().trim())'>SVG <span class='icon icon-arrow-down'></span></button></span>"
+        piece += "<label class='input-group-addon'><input id='piece-select-" + i + "' class='piece-select' data-piece='" + i + "' type='checkbox' onclick='togglePiece(\"" + i + "\")' " + (selected?" checked":"") + "/><span></span></label>";
+        var sn = generatePermutation(i, g, x, y, z, order);
+        piece += "<input type='text' class='form-control sn' readonly placeholder='Piece S/N' value='" + sn + "' size='" + (z > 1 ? 2*y : y) + "'/>";
+        piece += "<span class='input-group-addon notation' title='Artist notation'>" + snToNotation(sn) + "</span>";
+        var symmetry = symmetryClass(sn);
+        piece += "<span class='input-group-addon symmetry' title='Symmetry class: " + symmetry.join(" ") + "'>&times;" + symmetry.length + "</span>";
+        piece += "<span class='input-group-addon input-group-btn'><button type='button' class='btn btn-primary' onclick='downloadPiece($(this).parent().parent().find(\".sn\").val().trim(), \"svg\")'>SVG <span class='icon icon-arrow-down'></span></button></span>"
+        piece += "<span class='input-group-addon input-group-btn'><button type='button' class='btn btn-default' onclick='downloadPiece($(this).parent().parent().find(\".sn\").val().trim(), \"dxf\")'>DXF <span class='icon icon-arrow-down'></span></button></span>"
+        piece += "<span class='input-group-addon input-group-btn'><button type='button' class='btn btn-default' title='PNG/JPEG image, see Zip settings' onclick='downloadPiece($(this).parent().parent().find(\".sn\").val().trim(), \"raster\")'>Image <span class='icon icon-arrow-down'></span></button></span>"
+        piece += "<span class='input-group-addon input-group-btn'><button type='button' class='btn btn-default' title='Assembly sheet' onclick='downloadAssembly($(this).parent().parent().find(\".sn\").val().trim())'>Sheet <span class='icon icon-arrow-down'></span></button></span>"
+        piece += "<span class='input-group-addon input-group-btn'><button type='button' class='btn btn-default pin" + (pinned.indexOf(sn) != -1 ? " active" : "") + "' title='Pin to comparison tray' onclick='pinPiece($(this).parent().parent().find(\".sn\").val().trim())'>Pin</button></span>"
         piece += "</div>";
         piece += "<div class='thumbnail'>";
         piece += "<label for='piece-select-" + i + "'>";
         piece += "<svg xmlns='http://www.w3.org/2000/svg' version='1.1'></svg>";
         piece += "</label>";
+        piece += "<div class='caption metrics'></div>";
         piece += "</div>";
         piece += "</div>";
         $pieces.append(piece);
     }
     
-    // Display pieces.
-    $pieces.find(".piece").each(function(index, element) {
-        updatePiece(element);
+    // Display pieces.
+    $pieces.find(".piece").each(function(index, element) {
+        updatePiece(element);
+    });
+	
+    if (infiniteScroll) {
+		// Spinning icon at the end of the page.
+		if (page >= nbPages-1n) {
+			// Last page, remove icon.
+			$("#pieces-end").remove();
+		} else if (!append) {
+			// Add icon; triggers appendPage() when visible.
+			$pieces.append("<div id='pieces-end' class='col-xs-12'><span class='icon icon-generate rotate-ccw'></span><span class='sr-only'>Generating...</span></div>");
+			$(window).off('resize scroll', appendPage).on('resize scroll', appendPage);
+		} else {
+			// Move icon to end of viewport.
+			$("#pieces-end").appendTo($pieces);
+		}
+	}
+    
+    // Appended pages don't create history entries.
+    updateHash(!append);
+}
+
+/**
+ * Find a piece from the S/N typed in the search box, display its page and
+ * highlight it. Offer to extend the set when the piece lies beyond the number
+ * of generated pieces.
+ */
+function findPiece() {
+    var $find = $("#findSN");
+    var index = findPermutation($find.val(), g, x, y, z, order);
+    $find.parent().toggleClass("has-error", typeof(index) === 'undefined');
+    if (typeof(index) === 'undefined') return;
+    
+    if (index >= nbPieces) {
+        if (!confirm("Piece " + normalizeSN($find.val()) + " is number " + (index+1n) + " in this sequence, beyond the " + nbPieces + " generated pieces. Extend the set?")) return;
+        
+        // Extend set, toggled pieces keep their state.
+        nbPieces = index+1n;
+        updateFilter(function() {
+            nbPages = (nbShown() + nbPerPage - 1n) / nbPerPage;
+            updateSelected();
+            showFoundPiece($find, index);
+        });
+        return;
+    }
+    showFoundPiece($find, index);
+}
+
+/**
+ * Display page holding a piece found by S/N and highlight it.
+ *
+ *  @param $find    Search box.
+ *  @param index    Piece index (BigInt).
+ */
+function showFoundPiece($find, index) {
+    if (filtered && typeof(filteredPosition[index]) === 'undefined') {
+        alert("Piece " + normalizeSN($find.val()) + " is number " + (index+1n) + " in this sequence but does not match the filter.");
+        return;
+    }
+    
+    // Display page holding the piece.
+    var page = shownPosition(index)/nbPerPage;
+    if (!$("#piece-"+index).length) {
+        displayPieces(page);
+    }
+    
+    // Highlight piece.
+    $("#pieces .piece.found").removeClass("found");
+    var $piece = $("#piece-"+index).addClass("found");
+    $piece[0].scrollIntoView();
+}
+
+/**
+ * Append a new page to the already visible pieces. Used in infinite scroll mode.
+ */
+function appendPage() {
+	if (currentPage+1n >= nbPages) return;
+	
+	var end = $("#pieces-end")[0];
+	var rect = end.getBoundingClientRect();
+	if (rect.top < $(window).height()) {
+		// Spinning icon is visible, append next page.
+		displayPieces(currentPage+1n);
+	}
+}
+
+/**
+ * Update existing piece when some parameter changes (e.g. cropping).
+ */
+function updatePieces() {
+    var resorted = resortPieces();
+    if (filtered) {
+        // Piece dimensions may change the matching pieces.
+        applyFilter(currentPage);
+    } else if (resorted) {
+        displayPieces(currentPage);
+    }
+    $("#pieces .piece").each(function(index, element) {
+        updatePiece(element);
+    });
+    updateTray();
+    updateHash(false);
+}
+
+/**
+ * Sort pieces again when the sort order depends on changed piece options.
+ * Toggled pieces follow their new index, those moving out of the set are
+ * dropped.
+ *
+ *  @return whether the order changed.
+ */
+function resortPieces() {
+    var ordering = orderings[order];
+    if (typeof(nbPieces) === 'undefined' || !ordering.sorted) return false;
+    var table = ordering.table;
+    ordering.prepare(x, y, z, {
+        cropped: $("#cropped").prop('selected'), 
+        trapezoidal:$("#trapezoidal").prop('selected')
+    });
+    if (ordering.table === table) return false;
+    
+    var toggled = pieceToggle;
+    pieceToggle = {};
+    nbToggle = 0;
+    for (var i in toggled) {
+        var index = ordering.inverse[table[i]];
+        if (index < nbPieces) {
+            pieceToggle[index] = true;
+            nbToggle++;
+        }
+    }
+    updateSelected();
+    return true;
+}
+
+/**
+ * Compute & output piece from its S/N.
+ *
+ *  @param element    The containing element.
+ */
+function updatePiece(element) {
+    var sn = $(element).find(".sn").val().trim();
+    
+    // Generate piece.
+    var piece = computePiece(sn, {
+        cropped: $("#cropped").prop('selected'), 
+        trapezoidal:$("#trapezoidal").prop('selected')
+    });
+    
+    // Output to SVG.
+    var svg = drawSVG(piece, $(element).find("svg")[0]);
+    
+    // Metrics, all on hover.
+    var metrics = Array();
+    for (var name in pieceMetrics) {
+        metrics.push(pieceMetrics[name].label + ": " + formatMetric(name, piece.metrics[name]));
+    }
+    $(element).find(".metrics")
+        .text(formatMetric('width', piece.metrics.width) + " \u00d7 " + formatMetric('height', piece.metrics.height) + " | " + piece.metrics.shims + " shims | " + formatMetric('negativeRatio', piece.metrics.negativeRatio) + " empty")
+        .attr('title', metrics.join("\n"));
+    
+    // Adjust viewbox so that all pieces are centered and use the same scale.
+    svg.attr('viewBox', 
+        ((piece.bbox.x2-piece.bbox.x)-maxWidth)/2
+        + " "
+        + ((piece.bbox.y2-piece.bbox.y)-maxHeight)/2
+        + " " + maxWidth + " " + maxHeight);
+}
+
+/**
+ * Load user geometry profiles & active profile from local storage, and
+ * populate the profile selector.
+ */
+function loadGeometryProfiles() {
+    builtinGeometryProfiles = Object.keys(geometryProfiles);
+    var active = "Default";
+    if (window.localStorage) {
+        try {
+            var profiles = JSON.parse(localStorage.getItem("shim.geometryProfiles")) || {};
+            for (var name in profiles) {
+                if (builtinGeometryProfiles.indexOf(name) == -1 && !validateGeometry(profiles[name])) {
+                    geometryProfiles[name] = profiles[name];
+                }
+            }
+            active = localStorage.getItem("shim.geometry") || active;
+        } catch (e) {
+            // Ignore corrupt storage.
+        }
+    }
+    if (!geometryProfiles[active]) active = "Default";
+    setGeometry(geometryProfiles[active]);
+    updateGeometryProfiles(active);
+    resetInstallation();
+}
+
+/**
+ * Save user geometry profiles & active profile to local storage.
+ *
+ *  @param active   Name of active profile.
+ */
+function storeGeometryProfiles(active) {
+    if (!window.localStorage) return;
+    var profiles = {};
+    for (var name in geometryProfiles) {
+        if (builtinGeometryProfiles.indexOf(name) == -1) {
+            profiles[name] = geometryProfiles[name];
+        }
+    }
+    localStorage.setItem("shim.geometryProfiles", JSON.stringify(profiles));
+    localStorage.setItem("shim.geometry", active);
+}
+
+/**
+ * Populate the geometry profile selector.
+ *
+ *  @param active   Name of active profile.
+ */
+function updateGeometryProfiles(active) {
+    var select = $("#geometryProfile").empty();
+    for (var name in geometryProfiles) {
+        select.append($("<option>").val(name).text(name).prop('selected', name == active));
+    }
+}
+
+/**
+ * Activate a geometry profile and redraw pieces.
+ *
+ *  @param name     Profile name.
+ */
+function selectGeometry(name) {
+    if (setGeometry(geometryProfiles[name])) return;
+    storeGeometryProfiles(name);
+    updateGeometryProfiles(name);
+    resetInstallation();
+    
+    if (typeof(nbPieces) === 'undefined') return;
+    if (orderings[order].sorted) {
+        // Sort order depends on geometry.
+        generatePieces();
+    } else {
+        var maxSize = maxPieceSize(x, y, z);
+        maxWidth = maxSize.width;
+        maxHeight = maxSize.height;
+        updatePieces();
+    }
+}
+
+/**
+ * Fill geometry dialog with active profile.
+ */
+function editGeometry() {
+    var name = $("#geometryProfile").val();
+    $("#geometryName").val(name);
+    $("#geometryUnit").val(geometry.unit);
+    $("#geometryLength").val(geometry.length);
+    $("#geometryThickness").val(geometry.thickness);
+    $("#geometryTip").val(geometry.tip);
+    $("#geometryNegativeSpace").val(geometry.negativeSpace);
+    $("#deleteGeometry").prop('disabled', builtinGeometryProfiles.indexOf(name) != -1);
+    $("#geometryMessage").removeClass("panel-body").empty();
+}
+
+/**
+ * Save geometry dialog values as user profile and activate it. Built-in
+ * profiles cannot be overwritten.
+ */
+function saveGeometry() {
+    var name = $("#geometryName").val().trim();
+    var profile = {
+        unit: $("#geometryUnit").val(),
+        length: parseFloat($("#geometryLength").val()),
+        thickness: parseFloat($("#geometryThickness").val()),
+        tip: parseFloat($("#geometryTip").val()),
+        negativeSpace: parseFloat($("#geometryNegativeSpace").val())
+    };
+    var error = validateGeometry(profile);
+    if (!name) {
+        error = "Missing profile name";
+    } else if (builtinGeometryProfiles.indexOf(name) != -1) {
+        error = "Built-in profile, choose another name";
+    }
+    if (error) {
+        $("#geometryMessage").addClass("panel-body").html("<div class='alert alert-danger'><span class='glyphicon glyphicon-warning-sign'></span> " + $("<span>").text(error).html() + "</div>");
+        return;
+    }
+    
+    geometryProfiles[name] = profile;
+    selectGeometry(name);
+    $("#geometryDialog").modal('hide');
+}
+
+/**
+ * Delete user geometry profile being edited and revert to default profile.
+ */
+function deleteGeometry() {
+    var name = $("#geometryName").val().trim();
+    if (builtinGeometryProfiles.indexOf(name) != -1 || !geometryProfiles[name]) return;
+    delete geometryProfiles[name];
+    selectGeometry("Default");
+    $("#geometryDialog").modal('hide');
+}
+
+/**
+ * Load user render themes & active theme from local storage, and populate
+ * the theme selector.
+ */
+function loadRenderThemes() {
+    builtinRenderThemes = Object.keys(renderThemes);
+    var active = "Outline";
+    if (window.localStorage) {
+        try {
+            var themes = JSON.parse(localStorage.getItem("shim.renderThemes")) || {};
+            for (var name in themes) {
+                if (builtinRenderThemes.indexOf(name) == -1 && !validateTheme(themes[name])) {
+                    renderThemes[name] = themes[name];
+                }
+            }
+            active = localStorage.getItem("shim.renderTheme") || active;
+        } catch (e) {
+            // Ignore corrupt storage.
+        }
+    }
+    if (!renderThemes[active]) active = "Outline";
+    setTheme(renderThemes[active]);
+    updateRenderThemes(active);
+}
+
+/**
+ * Save user render themes & active theme to local storage.
+ *
+ *  @param active   Name of active theme.
+ */
+function storeRenderThemes(active) {
+    if (!window.localStorage) return;
+    var themes = {};
+    for (var name in renderThemes) {
+        if (builtinRenderThemes.indexOf(name) == -1) {
+            themes[name] = renderThemes[name];
+        }
+    }
+    localStorage.setItem("shim.renderThemes", JSON.stringify(themes));
+    localStorage.setItem("shim.renderTheme", active);
+}
+
+/**
+ * Populate the render theme selector.
+ *
+ *  @param active   Name of active theme.
+ */
+function updateRenderThemes(active) {
+    var select = $("#renderTheme").empty();
+    for (var name in renderThemes) {
+        select.append($("<option>").val(name).text(name).prop('selected', name == active));
+    }
+}
+
+/**
+ * Activate a render theme and redraw pieces. Themes don't change piece 
+ * geometry so filter & sort order are kept.
+ *
+ *  @param name     Theme name.
+ */
+function selectTheme(name) {
+    if (setTheme(renderThemes[name])) return;
+    storeRenderThemes(name);
+    updateRenderThemes(name);
+    
+    if (typeof(nbPieces) === 'undefined') return;
+    $("#pieces .piece").each(function(index, element) {
+        updatePiece(element);
+    });
+    updateTray();
+    updateHash(false);
+}
+
+/**
+ * Fill theme dialog with active theme.
+ */
+function editTheme() {
+    var name = $("#renderTheme").val();
+    $("#themeName").val(name);
+    $("#themeFill").val(renderTheme.fill);
+    $("#themeFillColor").val(renderTheme.fillColor);
+    $("#themeSlotColor0").val(renderTheme.slotColors[0]);
+    $("#themeSlotColor1").val(renderTheme.slotColors[1]);
+    $("#themeGrain").prop('checked', renderTheme.grain);
+    $("#themeStroke").val(renderTheme.stroke);
+    $("#themeStrokeWidth").val(renderTheme.strokeWidth);
+    $("#themeBbox").prop('checked', renderTheme.bbox);
+    $("#deleteTheme").prop('disabled', builtinRenderThemes.indexOf(name) != -1);
+    $("#themeMessage").removeClass("panel-body").empty();
+}
+
+/**
+ * Save theme dialog values as user theme and activate it. Built-in themes
+ * cannot be overwritten.
+ */
+function saveTheme() {
+    var name = $("#themeName").val().trim();
+    var theme = {
+        fill: $("#themeFill").val(),
+        fillColor: $("#themeFillColor").val(),
+        slotColors: [$("#themeSlotColor0").val(), $("#themeSlotColor1").val()],
+        grain: $("#themeGrain").prop('checked'),
+        stroke: $("#themeStroke").val(),
+        strokeWidth: parseFloat($("#themeStrokeWidth").val()),
+        bbox: $("#themeBbox").prop('checked')
+    };
+    var error = validateTheme(theme);
+    if (!name) {
+        error = "Missing theme name";
+    } else if (builtinRenderThemes.indexOf(name) != -1) {
+        error = "Built-in theme, choose another name";
+    }
+    if (error) {
+        $("#themeMessage").addClass("panel-body").html("<div class='alert alert-danger'><span class='glyphicon glyphicon-warning-sign'></span> " + $("<span>").text(error).html() + "</div>");
+        return;
+    }
+    
+    renderThemes[name] = theme;
+    selectTheme(name);
+    $("#themeDialog").modal('hide');
+}
+
+/**
+ * Delete user render theme being edited and revert to default theme.
+ */
+function deleteTheme() {
+    var name = $("#themeName").val().trim();
+    if (builtinRenderThemes.indexOf(name) != -1 || !renderThemes[name]) return;
+    delete renderThemes[name];
+    selectTheme("Outline");
+    $("#themeDialog").modal('hide');
+}
+
+/**
+ * Toggle select state of given piece.
+ *
+ *  @param piece    Piece number to toggle, as string to preserve precision.
+ */
+function togglePiece(piece) {
+    if (pieceToggle[piece]) {
+        delete pieceToggle[piece];
+        nbToggle--;
+    } else {
+        pieceToggle[piece] = true;
+        nbToggle++;
+    }
+	$("#piece-"+piece).toggleClass("selected");
+    updateSelected();
+}
+
+/**
+ * Check/uncheck visible pieces.
+ *
+ *  @param  check   Whether to check or uncheck pieces.
+ */
+function checkVisible(check) {
+    $(".piece-select").each(function(index, element) {
+        if (element.checked^check) {
+            $(element).click();
+        }
+    });
+}
+
+/**
+ * Check/uncheck all pieces.
+ *
+ *  @param  check   Whether to check or uncheck pieces.
+ */
+function checkAll(check) {
+    checkVisible(check);
+    defaultSelected = check;
+    nbToggle = 0;
+    pieceToggle = {};
+    updateSelected();
+}
+
+/**
+ * Get the current piece set, as expected by piecesToPDF() and piecesToZip().
+ *
+ *  @return piece set object.
+ */
+function currentSet() {
+    return {
+        x: x, y: y, z: z,
+        seed: seed,
+        g: g,
+        order: order,
+        nbPieces: nbPieces,
+        filter: filtered,
+        defaultSelected: defaultSelected,
+        pieceToggle: pieceToggle,
+        nbSelected: nbSelected
+    };
+}
+
+/**
+ * Save generated data as a file download.
+ *
+ *  @param data         File data (string or typed array).
+ *  @param fileName     File name.
+ *  @param mimeType     MIME type.
+ */
+function saveFile(data, fileName, mimeType) {
+    saveAs(new Blob([data], {type: mimeType}), fileName);
+}
+
+/**
+ * Update selected piece counters.
+ */
+function updateSelected() {
+    if (filtered) {
+        // Only count matching pieces.
+        var nbMatchToggle = 0;
+        for (var i in pieceToggle) {
+            if (typeof(filteredPosition[i]) !== 'undefined') nbMatchToggle++;
+        }
+        nbSelected = BigInt(defaultSelected ? filtered.length - nbMatchToggle : nbMatchToggle);
+        $("#totalPieces").html((BigInt(filtered.length) < nbPieces ? filtered.length + " MATCHING / " : "") + nbPieces + " " + (nbPieces > 1 ? "IMAGES" : "IMAGE"));
+    } else {
+        nbSelected = (defaultSelected ? nbPieces - BigInt(nbToggle) : BigInt(nbToggle));
+        $("#totalPieces").html(nbPieces + " " + (nbPieces > 1 ? "IMAGES" : "IMAGE"));
+    }
+    $("#selectedPieces").html(nbSelected + " SELECTED");
+    $("#zip").prop('disabled', (nbSelected == 0n));
+    $("#print").prop('disabled', (nbSelected == 0n));
+    updateHash(false);
+}
+
+/**
+ * Get raster options from the Zip dialog.
+ *
+ *  @return raster options, see pieceToRaster().
+ */
+function rasterOptions() {
+    return {
+        format: $("[name='rasterFormat']:checked").val(),
+        pixels: parseInt($("#rasterPixels").val()),
+        dpi: ($("[name='rasterSize']:checked").val() == 'dpi' ? parseInt($("#rasterDpi").val()) : undefined),
+        background: ($("#rasterTransparent").prop('checked') ? undefined : $("#rasterBackground").val()),
+        margin: parseInt($("#rasterMargin").val()),
+        createCanvas: function(width, height) {
+            var canvas = document.createElement("canvas");
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+    };
+}
+
+/**
+ * Check raster options against the size of the given piece.
+ *
+ *  @param piece        Piece data, only the bounding box is used.
+ *  @param options      Raster options, see pieceToRaster().
+ *
+ *  @return whether options are valid, else an alert is shown.
+ */
+function checkRasterSize(piece, options) {
+    var error = validateRasterOptions(options);
+    if (error) {
+        alert(error + ".");
+        return false;
+    }
+    var size = rasterSize(piece, options);
+    if (size.width > MAX_RASTER_SIZE || size.height > MAX_RASTER_SIZE) {
+        alert("Image too large: " + size.width + "x" + size.height + " pixels, maximum is " + MAX_RASTER_SIZE + ".");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Download piece as SVG, DXF or raster image.
+ *
+ *  @param sn       The piece serial number, internal or in artist notation.
+ *  @param format   File format ('svg', 'dxf', 'raster').
+ */
+function downloadPiece(sn, format) {
+    sn = normalizeSN(sn);
+    if (!sn) return;
+    
+    // Generate piece.
+    var piece = computePiece(sn, {
+        cropped: $("#cropped").prop('selected'), 
+        trapezoidal:$("#trapezoidal").prop('selected')
+    });
+    var fileName = pieceFileName(sn, $("[name='nameFormat']:checked").val());
+    
+    if (format == 'raster') {
+        // Output to PNG/JPEG.
+        var options = rasterOptions();
+        if (!checkRasterSize(piece, options)) return;
+        var rasterFormat = rasterFormats[options.format];
+        saveFile(pieceToRaster(piece, options), fileName + "." + rasterFormat.extension, rasterFormat.mimeType);
+        return;
+    }
+    
+    // Output to SVG/DXF.
+    var unit = $("[name='svgSize']:checked").val();
+    if (unit && !baseUnitSize(unit)) {
+        alert("Real size needs a geometry profile in real units.");
+        return;
+    }
+    if (format == 'dxf') {
+        saveFile(pieceToDXF(piece, unit || undefined), fileName + ".dxf", "application/dxf");
+    } else {
+        saveFile(pieceToSVG(piece, unit || undefined), fileName + ".svg", "image/svg+xml");
+    }
+} 
+
+/**
+ * Download assembly sheet of piece as PDF. Page settings are taken from the 
+ * print dialog.
+ *
+ *  @param sn   The piece serial number, internal or in artist notation.
+ */
+function downloadAssembly(sn) {
+    sn = normalizeSN(sn);
+    if (!sn) return;
+    
+    // Generate piece.
+    var piece = computePiece(sn, {
+        cropped: $("#cropped").prop('selected'), 
+        trapezoidal:$("#trapezoidal").prop('selected')
+    });
+    
+    // Output to PDF.
+    var pdf = pieceToAssemblyPDF(piece, {
+        orient: $("[name='orient']:checked").val(), 
+        format: $("[name='format']:checked").val(),
+        labelFormat: 'both',
+        compo: composition(x, y, z, seed)
+    });
+    saveFile(pdf.output(), pieceFileName(sn, $("[name='nameFormat']:checked").val()) + ".assembly.pdf", "application/pdf");
+}
+
+/**
+ * Update progress information during PDF output.
+ *
+ *  @param ratio    Progress ratio [0,1].
+ *  @param piece    Number of pieces output so far.
+ *  @param nbPieces Total number of pieces (optional).
+ *  @param page     Number of pages output so far (optional).
+ *  @param nbPages  Total number of pages (optional).
+ *  @param doc      Number of documents output so far (optional).
+ *  @param nbDocs   Total number of documents (optional).
+ */
+function progress(piece, nbPieces, page, nbPages, doc, nbDocs) {
+    var percent = (piece/nbPieces)*100;
+    $("#progress .progress-bar").attr('aria-valuenow', percent).attr('style','width:'+percent.toFixed(2)+'%').find("span").html(percent.toFixed(0) + "%)");
+    $("#progressPiece").html("Piece " + piece + "/" + nbPieces);
+    $("#progressPage").html((page && nbPages) ? "Page " + page + "/" + nbPages : "");
+    $("#progressDoc").html((doc && nbDocs) ? "Document " + doc + "/" + nbDocs : "");
+}
+
+/**
+ * Output pieces to PDF. Always use pt units.
+ */
+function downloadPDF() {
+    var units = $("#unit").val();
+    var realSize = ($("[name='scale']:checked").val() == 'real');
+    if (realSize && !baseUnitSize('pt')) {
+        alert("Real size needs a geometry profile in real units.");
+        return;
+    }
+    
+    $("#printDialog").modal('hide');
+    $("#progressDialog").modal('show');
+    piecesToPDF(
+        currentSet(),
+        {
+            cropped: $("#cropped").prop('selected'),
+            trapezoidal: $("#trapezoidal").prop('selected')
+        },
+        {
+            orient: $("[name='orient']:checked").val(), 
+            format: $("[name='format']:checked").val(),
+            sides: $("[name='sides']:checked").val(),
+
+            // Always use pt units, so do conversions upfront.
+            unit: 'pt',
+            margins: {
+                top:    Math.round(parseFloat($("#marginTop").val())    * unitPt[units]),
+                bottom: Math.round(parseFloat($("#marginBottom").val()) * unitPt[units]),
+                left:   Math.round(parseFloat($("#marginLeft").val())   * unitPt[units]),
+                right:  Math.round(parseFloat($("#marginRight").val())  * unitPt[units]),
+            },
+            padding: Math.round(parseFloat($("#padding").val()) * unitPt[units]),
+            
+            justif: $("[name='justif']:checked").val(),
+            cols: $("#printColumns").val(),
+            rows: $("#printRows").val(),
+            
+            compoPos: $("[name='compoPos']:checked").val(),
+            pageNbPos: $("[name='pageNbPos']:checked").val(),
+            labelPos: $("[name='labelPos']:checked").val(),
+            labelFormat: $("[name='labelFormat']:checked").val(),
+            
+            realSize: realSize,
+            bom: !!$("[name='bom']:checked").val(),
+            index: !!$("[name='index']:checked").val(),
+            overlap: Math.round(parseFloat($("#overlap").val()) * unitPt[units]),
+        },
+        {
+            maxPieces: parseInt($("#maxPieces").val()),
+            maxPiecesPerDoc: parseInt($("#maxPiecesPerDoc").val()),
+            maxPagesPerDoc: parseInt($("#maxPagesPerDoc").val()),
+        },
+        saveFile,
+        progress,
+        function() {$("#progressDialog").modal('hide');}
+    );
+}
+
+/**
+ * Output pieces to zipped SVG/DXF.
+ */
+function downloadZip() {
+    var format = $("[name='zipFormat']:checked").val();
+    var unit = $("[name='svgSize']:checked").val();
+    if (format != 'raster' && unit && !baseUnitSize(unit)) {
+        alert("Real size needs a geometry profile in real units.");
+        return;
+    }
+    var raster = rasterOptions();
+    if (format == 'raster') {
+        // Check the largest possible piece.
+        var maxSize = maxPieceSize(x, y, z);
+        if (!checkRasterSize({bbox: {x: 0, y: 0, x2: maxSize.width, y2: maxSize.height}}, raster)) return;
+    }
+    
+    $("#zipDialog").modal('hide');
+    $("#progressDialog").modal('show');
+    piecesToZip(
+        currentSet(),
+        {
+            cropped: $("#cropped").prop('selected'),
+            trapezoidal: $("#trapezoidal").prop('selected')
+        },
+        {
+            format: format,
+            nameFormat: $("[name='nameFormat']:checked").val(),
+            unit: unit || undefined,
+            raster: raster
+        },
+        {
+            maxPieces: parseInt($("#maxZip").val()),
+            maxPiecesPerZip: parseInt($("#maxPiecesPerZip").val())
+        },
+        saveFile,
+        progress,
+        function() {$("#progressDialog").modal('hide');}
+    );
+}
+
+/**
+ * Output animated sequence of selected pieces with the settings of the 
+ * animation dialog.
+ */
+function downloadAnimation() {
+    var set = currentSet();
+    var animationOptions = {
+        format: $("[name='animationFormat']:checked").val(),
+        duration: parseFloat($("#animationDuration").val()),
+        transition: parseFloat($("#animationTransition").val()),
+        morph: !!$("[name='animationMorph']:checked").val(),
+        captions: $("[name='animationCaptions']:checked").val() || undefined,
+        background: ($("#animationTransparent").prop('checked') ? undefined : $("#animationBackground").val()),
+        pixels: parseInt($("#animationPixels").val()),
+        createCanvas: rasterOptions().createCanvas
+    };
+    var maxPieces = parseInt($("#maxAnimation").val());
+    var error = validateAnimationOptions(animationOptions);
+    if (error) {
+        alert(error + ".");
+        return;
+    }
+    if (!(maxPieces > 0)) {
+        alert("Invalid maximum number of pieces.");
+        return;
+    }
+    if (set.nbSelected == 0n) {
+        alert("No pieces selected.");
+        return;
+    }
+    
+    $("#animationDialog").modal('hide');
+    $("#progressDialog").modal('show');
+    piecesToAnimation(
+        set,
+        {
+            cropped: $("#cropped").prop('selected'),
+            trapezoidal: $("#trapezoidal").prop('selected')
+        },
+        animationOptions,
+        {
+            maxPieces: maxPieces
+        },
+        saveFile,
+        progress,
+        function() {$("#progressDialog").modal('hide');}
+    );
+}
+
+
+/**
+ * Output bill of materials of selected pieces to CSV.
+ */
+function downloadBOM() {
+    $("#progressDialog").modal('show');
+    piecesToBOM(
+        currentSet(),
+        {
+            cropped: $("#cropped").prop('selected'),
+            trapezoidal: $("#trapezoidal").prop('selected')
+        },
+        {
+            maxPieces: parseInt($("#maxPieces").val())
+        },
+        progress,
+        function(bom) {
+            saveFile(bomToCSV(bom), fileSafe(composition(x, y, z, seed)) + ".bom.csv", "text/csv");
+            $("#progressDialog").modal('hide');
+        }
+    );
+}
+
+/**
+ * Plan installation of selected pieces with the settings of the installation
+ * dialog.
+ *
+ *  @param onfinish     Function(plan) called with installation plan, see
+ *                      planInstallation().
+ */
+function installationPlan(onfinish) {
+    if (typeof(nbPieces) === 'undefined') return;
+    var pieceOptions = {
+        cropped: $("#cropped").prop('selected'),
+        trapezoidal: $("#trapezoidal").prop('selected')
+    };
+    var pieces = Array();
+    var set = currentSet();
+    var max = Number(nbSelected < MAX_INSTALL ? nbSelected : MAX_INSTALL);
+    forEachSelected(set, max, 
+        function(i) {
+            pieces.push(computePiece(generatePermutation(i, g, x, y, z, order), pieceOptions));
+        },
+        function() {},
+        function() {
+            onfinish(planInstallation(pieces, {
+                wallWidth: parseFloat($("#wallWidth").val()),
+                wallHeight: parseFloat($("#wallHeight").val()),
+                centerHeight: parseFloat($("#centerHeight").val()),
+                columns: parseInt($("#installColumns").val()),
+                spacing: parseFloat($("#installSpacing").val()),
+                rowSpacing: parseFloat($("#installRowSpacing").val()),
+                align: $("#installAlign").val()
+            }));
+        }
+    );
+}
+
+/**
+ * Reset installation wall & layout to defaults for the active geometry unit.
+ */
+function resetInstallation() {
+    var defaults = installationDefaults();
+    $("#wallWidth").val(defaults.wallWidth);
+    $("#wallHeight").val(defaults.wallHeight);
+    $("#centerHeight").val(defaults.centerHeight);
+    $("#installSpacing").val(defaults.spacing);
+    $("#installRowSpacing").val(defaults.rowSpacing);
+}
+
+/**
+ * Update installation preview.
+ */
+function updateInstallation() {
+    installationPlan(function(plan) {
+        var messages = Array();
+        if (nbSelected > BigInt(MAX_INSTALL)) {
+            messages.push("Only the first " + MAX_INSTALL + " selected pieces are placed.");
+        }
+        if (!plan.fits) {
+            messages.push("Arrangement exceeds the wall!");
+        }
+        if (messages.length) {
+            $("#installMessage").html("<div class='alert alert-warning'><span class='glyphicon glyphicon-warning-sign'></span> " + messages.join(" ") + "</div>");
+        } else {
+            $("#installMessage").empty();
+        }
+        $("#installPreview").html(installationToSVG(plan));
+    });
+}
+
+/**
+ * Download installation plan.
+ *
+ *  @param format   File format ('pdf', 'svg').
+ */
+function downloadInstallation(format) {
+    installationPlan(function(plan) {
+        var compo = composition(x, y, z, seed);
+        var fileName = fileSafe(compo) + ".installation";
+        if (format == 'svg') {
+            saveFile(installationToSVG(plan), fileName + ".svg", "image/svg+xml");
+        } else {
+            var pdf = installationToPDF(plan, {
+                orient: 'landscape', 
+                format: $("[name='format']:checked").val(),
+                title: "Installation plan - " + compo
+            });
+            saveFile(pdf.output(), fileName + ".pdf", "application/pdf");
+        }
+    });
+}
+
+/**
+ * Serialize session state as permalink hash: handles, seed, number of pieces,
+ * order, piece options, geometry, render theme, current page, selection
+ * state, with toggled pieces as compact ranges, and filter query.
+ *
+ *  @return hash string.
+ */
+function sessionHash() {
+    var params = {
+        x: x, y: y, z: z,
+        seed: seed,
+        n: ($("#max").prop('checked') ? "max" : nbPieces.toString()),
+        order: order,
+        crop: $("#cropped").prop('selected') ? 1 : 0,
+        trap: $("#trapezoidal").prop('selected') ? 1 : 0,
+        canon: $("#canonical").prop('selected') ? 1 : 0,
+        sort: ($("#sortDescending").prop('checked') ? "-" : "") + $("#sortMetric").val(),
+        geom: $("#geometryProfile").val(),
+        theme: $("#renderTheme").val(),
+        page: currentPage.toString(),
+        sel: defaultSelected ? 1 : 0,
+        t: encodeRanges(toggledPieces(pieceToggle)),
+        f: filtered ? $("#filterQuery").val().trim() : ""
+    };
+    var hash = Array();
+    for (var key in params) {
+        hash.push(key + "=" + encodeURIComponent(params[key]));
+    }
+    return "#" + hash.join("&");
+}
+
+/**
+ * Update permalink hash from session state.
+ *
+ *  @param push     Whether to create a new history entry.
+ */
+function updateHash(push) {
+    if (restoring || typeof(currentPage) === 'undefined' || typeof(pieceToggle) === 'undefined') return;
+    var hash = sessionHash();
+    if (hash == currentHash) return;
+    currentHash = hash;
+    if (push) {
+        history.pushState(null, "", hash);
+    } else {
+        history.replaceState(null, "", hash);
+    }
+}
+
+/**
+ * Restore session state from permalink hash, if any.
+ *
+ *  @return whether state was restored.
+ */
+function restoreHash() {
+    var params = {};
+    var items = location.hash.substr(1).split("&");
+    for (var i = 0; i < items.length; i++) {
+        var eq = items[i].indexOf("=");
+        if (eq < 0) continue;
+        try {
+            params[items[i].substr(0, eq)] = decodeURIComponent(items[i].substr(eq+1));
+        } catch (e) {
+            // Ignore malformed values.
+        }
+    }
+    if (!/^\d+$/.test(params.x) || !/^\d+$/.test(params.y) || typeof(params.seed) === 'undefined') return false;
+    var toggled = decodeRanges(params.t);
+    if (!toggled) return false;
+    
+    restoreSession({
+        x: params.x, y: params.y, z: params.z,
+        seed: params.seed,
+        nbPieces: params.n,
+        order: params.order,
+        cropped: (params.crop == "1"),
+        trapezoidal: (params.trap == "1"),
+        canonical: (params.canon == "1"),
+        sort: params.sort,
+        geometry: params.geom,
+        theme: params.theme,
+        page: params.page,
+        defaultSelected: (params.sel != "0"),
+        toggled: toggled,
+        filter: params.f
+    }, function() {
+        currentHash = location.hash;
+        updateHash(false);
+    });
+    return true;
+}
+
+/**
+ * Regenerate pieces and restore selection from saved session state.
+ *
+ *  @param state    Session state:
+ *                  - x, y, z       Handles.
+ *                  - seed          Permutation seed.
+ *                  - nbPieces      Number of pieces, or "max".
+ *                  - order         Ordering strategy name.
+ *                  - cropped, trapezoidal  Piece options.
+ *                  - canonical     Canonical mode (optional).
+ *                  - sort          Sort metric, prefixed by '-' when 
+ *                                  descending (optional).
+ *                  - geometry      Geometry profile name (optional).
+ *                  - theme         Render theme name (optional).
+ *                  - page          Current page (optional).
+ *                  - defaultSelected   Default selection state.
+ *                  - toggled       Toggled piece ranges, see decodeRanges().
+ *                  - filter        Filter query (optional).
+ *  @param ondone   Called once the session is restored (optional).
+ */
+function restoreSession(state, ondone) {
+    restoring = true;
+    
+    // Form inputs.
+    $("#x").val(state.x);
+    $("#y").val(state.y);
+    $("#z").val(/^\d+$/.test(state.z) ? state.z : 1);
+    $("#x, #y, #z").change();
+    if (state.nbPieces == "max") {
+        $("#max").prop('checked', true);
+    } else {
+        $("#max").prop('checked', false);
+        $("#nbPieces").val(/^\d+$/.test(state.nbPieces) ? state.nbPieces : 1);
+    }
+    $("#random").prop('checked', false);
+    $("#seed").prop('disabled', false).val(state.seed);
+    if (isOrdering(state.order)) $("#order").val(state.order);
+    $("#cropped").prop('selected', !!state.cropped);
+    $("#trapezoidal").prop('selected', !!state.trapezoidal);
+    $("#canonical").prop('selected', !!state.canonical);
+    var sort = /^(-?)(\w*)$/.exec(state.sort || "");
+    $("#sortMetric").val(sort && Object.prototype.hasOwnProperty.call(pieceMetrics, sort[2]) ? sort[2] : "");
+    $("#sortDescending").prop('checked', !!(sort && sort[1]));
+    if (geometryProfiles[state.geometry]) selectGeometry(state.geometry);
+    if (renderThemes[state.theme]) selectTheme(state.theme);
+    $("#filterQuery").val(state.filter || "");
+    validatePermutationSize();
+    
+    generatePieces(function() {
+        applySelection(state.defaultSelected, state.toggled);
+        
+        // Page.
+        currentPage = undefined;
+        displayPieces(/^\d+$/.test(state.page) ? state.page : 0);
+        
+        restoring = false;
+        if (ondone) ondone();
+    });
+}
+
+/**
+ * Set selection state of the current pieces and update visible checkboxes.
+ *
+ *  @param selected     Default selection state.
+ *  @param toggled      Toggled piece ranges, see decodeRanges().
+ */
+function applySelection(selected, toggled) {
+    defaultSelected = selected;
+    pieceToggle = {};
+    nbToggle = 0;
+    for (var r = 0; r < toggled.length && nbToggle < MAX_HASH_TOGGLE; r++) {
+        for (var i = toggled[r][0]; i <= toggled[r][1] && i < nbPieces && nbToggle < MAX_HASH_TOGGLE; i++) {
+            pieceToggle[i] = true;
+            nbToggle++;
+        }
+    }
+    $(".piece-select").each(function(index, element) {
+        // Use attribute string, data() would convert large indices to imprecise numbers.
+        var piece = $(element).attr('data-piece');
+        element.checked = (defaultSelected != !!pieceToggle[piece]);
+        $("#piece-"+piece).toggleClass("selected", element.checked);
+    });
+    updateSelected();
+}
+
+/**
+ * Get selection sets saved in local storage.
+ *
+ *  @return selection sets keyed by name, see selectionSet().
+ */
+function storedSelections() {
+    if (!window.localStorage) return {};
+    try {
+        return JSON.parse(localStorage.getItem("shim.selections")) || {};
+    } catch (e) {
+        // Ignore corrupt storage.
+        return {};
+    }
+}
+
+/**
+ * Populate the list of saved selection sets.
+ */
+function updateSelectionList() {
+    var selections = storedSelections();
+    var list = $("#selectionList").empty();
+    for (var name in selections) {
+        var selection = selections[name];
+        list.append($("<option>").val(name).text(name + " - " + composition(selection.x, selection.y, selection.z, selection.seed) + ", " + selection.nbSelected + " selected"));
+    }
+    $("#selectionMessage").empty();
+}
+
+/**
+ * Display message in selection dialog.
+ *
+ *  @param message  Message text.
+ *  @param type     Alert type ('success', 'danger').
+ */
+function selectionMessage(message, type) {
+    $("#selectionMessage").html("<div class='alert alert-" + type + "'>" + $("<span>").text(message).html() + "</div>");
+}
+
+/**
+ * Get current selection as selection set.
+ *
+ *  @param name     Selection set name.
+ *
+ *  @return selection set, see selectionSet().
+ */
+function currentSelection(name) {
+    return selectionSet(name, currentSet(), {
+        cropped: $("#cropped").prop('selected'),
+        trapezoidal: $("#trapezoidal").prop('selected')
+    }, $("#max").prop('checked'));
+}
+
+/**
+ * Save current selection in local storage.
+ */
+function saveSelection() {
+    var name = $("#selectionName").val().trim();
+    if (typeof(nbPieces) === 'undefined') {
+        selectionMessage("Generate pieces first.", 'danger');
+        return;
+    }
+    if (!name) {
+        selectionMessage("Missing selection name.", 'danger');
+        return;
+    }
+    if (!window.localStorage) {
+        selectionMessage("Browser storage unavailable, use export instead.", 'danger');
+        return;
+    }
+    var selections = storedSelections();
+    selections[name] = currentSelection(name);
+    localStorage.setItem("shim.selections", JSON.stringify(selections));
+    updateSelectionList();
+    selectionMessage("Selection saved.", 'success');
+}
+
+/**
+ * Export current selection as JSON file.
+ */
+function exportSelection() {
+    if (typeof(nbPieces) === 'undefined') {
+        selectionMessage("Generate pieces first.", 'danger');
+        return;
+    }
+    var name = $("#selectionName").val().trim() || "selection";
+    saveFile(JSON.stringify(currentSelection(name), null, 2), fileSafe(composition(x, y, z, seed)) + "." + fileSafe(name) + ".json", "application/json");
+}
+
+/**
+ * Restore selection set, re-generating pieces unless the current composition
+ * matches.
+ *
+ *  @param selection    Selection set, see selectionSet().
+ */
+function restoreSelection(selection) {
+    var error = validateSelectionSet(selection);
+    if (error) {
+        selectionMessage(error, 'danger');
+        return;
+    }
+    var toggled = decodeRanges(selection.toggled);
+    var same = (typeof(nbPieces) !== 'undefined'
+        && selection.x == x && selection.y == y && selection.z == z
+        && normalizeSeed(selection.seed) == seed
+        && selection.order == order
+        && selection.nbPieces == ($("#max").prop('checked') ? "max" : nbPieces.toString())
+        && selection.cropped == $("#cropped").prop('selected')
+        && selection.trapezoidal == $("#trapezoidal").prop('selected'));
+    var done = function() {
+        $("#selectionName").val(selection.name);
+        selectionMessage("Selection " + selection.name + " restored, " + nbSelected + " selected.", 'success');
+    };
+    if (same) {
+        applySelection(selection.defaultSelected, toggled);
+        done();
+    } else {
+        restoreSession({
+            x: selection.x, y: selection.y, z: selection.z,
+            seed: selection.seed,
+            nbPieces: selection.nbPieces,
+            order: selection.order,
+            cropped: selection.cropped,
+            trapezoidal: selection.trapezoidal,
+            defaultSelected: selection.defaultSelected,
+            toggled: toggled
+        }, function() {
+            updateHash(true);
+            done();
+        });
+    }
+}
+
+/**
+ * Restore selection set chosen in list.
+ */
+function loadSelection() {
+    var selection = storedSelections()[$("#selectionList").val()];
+    if (selection) restoreSelection(selection);
+}
+
+/**
+ * Delete selection set chosen in list from local storage.
+ */
+function deleteSelection() {
+    var selections = storedSelections();
+    var name = $("#selectionList").val();
+    if (!selections[name]) return;
+    delete selections[name];
+    localStorage.setItem("shim.selections", JSON.stringify(selections));
+    updateSelectionList();
+}
+
+/**
+ * Import and restore selection set from JSON file.
+ *
+ *  @param file     File object.
+ */
+function importSelection(file) {
+    var reader = new FileReader();
+    reader.onload = function() {
+        var selection;
+        try {
+            selection = JSON.parse(reader.result);
+        } catch (e) {
+            selectionMessage("Invalid JSON file.", 'danger');
+            return;
+        }
+        restoreSelection(selection);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Get number of displayed pieces, i.e. those matching the filter if any.
+ *
+ *  @return BigInt number of pieces.
+ */
+function nbShown() {
+    return (filtered ? BigInt(filtered.length) : nbPieces);
+}
+
+/**
+ * Get index of displayed piece.
+ *
+ *  @param position     Position among the displayed pieces (BigInt).
+ *
+ *  @return BigInt piece index.
+ */
+function shownIndex(position) {
+    return (filtered ? filtered[Number(position)] : position);
+}
+
+/**
+ * Get position of piece among the displayed pieces.
+ *
+ *  @param index    Piece index (BigInt), must match the filter if any.
+ *
+ *  @return BigInt position.
+ */
+function shownPosition(index) {
+    return (filtered ? BigInt(filteredPosition[index]) : index);
+}
+
+/**
+ * Compute the pieces matching the filter query, keeping only the first piece
+ * of each symmetry class in canonical mode, and sort them by the chosen 
+ * metric. Invalid queries are reported and leave the set unfiltered. Pieces
+ * are processed in the background, a new call cancels the pending one.
+ *
+ *  @param ondone   Called once filter results are available.
+ */
+function updateFilter(ondone) {
+    var query = $("#filterQuery").val().trim();
+    var canonical = $("#canonical").prop('selected');
+    var metric = $("#sortMetric").val();
+    var pieceOptions = {
+        cropped: $("#cropped").prop('selected'), 
+        trapezoidal:$("#trapezoidal").prop('selected')
+    };
+    var run = ++filterRun;
+    var done = function(indices, error) {
+        filtered = indices;
+        filteredPosition = undefined;
+        if (indices) {
+            filteredPosition = {};
+            for (var i = 0; i < indices.length; i++) {
+                filteredPosition[indices[i]] = i;
+            }
+        }
+        $("#filterQuery").parent().toggleClass("has-error", !!error);
+        $("#filterMessage").text(error || ((query || canonical) && filtered ? filtered.length + (query ? " matching" : " distinct") + " pieces" : "")).toggleClass("text-danger", !!error);
+        ondone();
+    };
+    if (!query && !canonical && !metric) {
+        done();
+        return;
+    }
+    var filter = query ? parseFilter(query) : undefined;
+    if (filter && filter.error) {
+        done(undefined, filter.error);
+        return;
+    }
+    
+    var set = currentSet();
+    set.canonical = canonical;
+    filterIndicesBg(set, filter, pieceOptions, 
+        (metric ? {metric: metric, descending: $("#sortDescending").prop('checked')} : undefined),
+        function(nb, total) {
+            if (run != filterRun) return false;
+            $("#filterMessage").text("Filtering... " + Math.floor(100*nb/total) + "%").removeClass("text-danger");
+        },
+        function(indices) {
+            if (run != filterRun) return;
+            done(indices, indices ? undefined : "Filtering, sorting and canonical mode are limited to sets of " + MAX_FILTER + " pieces");
+        }
+    );
+}
+
+/**
+ * Apply the filter query typed in the filter bar to the gallery, counters and
+ * exports. Matching pieces keep their original indices.
+ *
+ *  @param page     Page to display once filtered (optional, default first).
+ */
+function applyFilter(page) {
+    if (typeof(nbPieces) === 'undefined') return;
+    updateFilter(function() {
+        updateSelected();
+        nbPages = (nbShown() + nbPerPage - 1n) / nbPerPage;
+        currentPage = undefined;
+        displayPieces(page || 0);
     });
-	
-    if (infiniteScroll) {
-		// Spinning icon at the end of the page.
-		if (page == nbPages-1) {
-			// Last page, remove icon.
-			$("#pieces-end").remove();
-		} else if (page == 0) {
-			// Add icon; triggers appendPage() when visible.
-			$pieces.append("<div id='pieces-end' class='col-xs-12'><span class='icon icon-generate rotate-ccw'></span><span class='sr-only'>Generating...</span></div>");
-			$(window).on('resize scroll', appendPage);
-		} else {
-			// Move icon to end of viewport.
-			$("#pieces-end").appendTo($pieces);
-		}
-	}
-    
 }
 
 /**
- * Append a new page to the already visible pieces. Used in infinite scroll mode.
+ * Display histograms of piece metrics over the displayed pieces.
  */
-function appendPage() {
-	if (currentPage+1 >= nbPages) return;
-	
-	var end = $("#pieces-end")[0];
-	var rect = end.getBoundingClientRect();
-	if (rect.top < $(window).height()) {
-		// Spinning icon is visible, append next page.
-		displayPieces(currentPage+1);
-	}
+function updateStatistics() {
+    if (typeof(nbPieces) === 'undefined') {
+        $("#statsMessage").text("Generate pieces first.");
+        $("#statsPanel").empty();
+        return;
+    }
+    var stats = pieceStatistics(currentSet(), {
+        cropped: $("#cropped").prop('selected'), 
+        trapezoidal:$("#trapezoidal").prop('selected')
+    }, MAX_STATS, 20);
+    $("#statsMessage").text(stats.nbPieces + " pieces" + (stats.sampled ? ", the first " + MAX_STATS + " of " + nbShown() + " displayed pieces" : "") + ". Hover bars for values.");
+    var $panel = $("#statsPanel").empty();
+    for (var name in stats.histograms) {
+        $("<div class='col-sm-6'></div>").html(histogramToSVG(name, stats.histograms[name])).appendTo($panel);
+    }
 }
 
 /**
- * Update existing piece when some parameter changes (e.g. cropping).
+ * Clear the filter query.
  */
-function updatePieces() {
-    $("#pieces .piece").each(function(index, element) {
-        updatePiece(element);
-    });
+function clearFilter() {
+    $("#filterQuery").val("");
+    applyFilter();
 }
 
 /**
- * Compute & output piece from its S/N.
+ * Open the full-screen viewer.
  *
- *  @param element    The containing element.
+ *  @param position     Position of the piece among the displayed pieces, as
+ *                      Number, BigInt or string (optional, defaults to the 
+ *                      first piece of the current page).
  */
-function updatePiece(element) {
-    var sn = $(element).find(".sn").val().trim();
+function openViewer(position) {
+    if (typeof(nbPieces) === 'undefined' || nbShown() == 0n) return;
+    if (typeof(position) === 'undefined') position = nbPerPage*currentPage;
+    
+    $("#viewerTotal").html(nbShown().toString());
+    $("#viewer").removeClass("hidden");
+    $("body").css('overflow', 'hidden');
+    var element = $("#viewer")[0];
+    var requestFullscreen = element.requestFullscreen || element.webkitRequestFullscreen || element.mozRequestFullScreen;
+    if (requestFullscreen) {
+        // May be refused by the browser, the viewer still covers the window.
+        var promise = requestFullscreen.call(element);
+        if (promise && promise.catch) promise.catch(function() {});
+    }
+    viewPiece(position);
+}
+
+/**
+ * Close the full-screen viewer and show the last viewed piece in the grid.
+ */
+function closeViewer() {
+    if ($("#viewer").hasClass("hidden")) return;
+    
+    if (viewerTimer) toggleAutoplay();
+    $("#viewer").addClass("hidden");
+    $("body").css('overflow', '');
+    var fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement || document.mozFullScreenElement;
+    if (fullscreenElement) {
+        var exitFullscreen = document.exitFullscreen || document.webkitExitFullscreen || document.mozCancelFullScreen;
+        exitFullscreen.call(document);
+    }
+    
+    // Display page holding the piece.
+    if (!$("#piece-"+viewerIndex).length) {
+        displayPieces(viewerPosition/nbPerPage);
+    }
+    $("#piece-"+viewerIndex)[0].scrollIntoView();
+}
+
+/**
+ * Compute & output piece in the full-screen viewer.
+ *
+ *  @param position     Position of the piece among the displayed pieces, as
+ *                      Number, BigInt or string.
+ */
+function viewPiece(position) {
+    // Sanity check.
+    position = BigInt(position);
+    if (position > nbShown()-1n) position = nbShown()-1n;
+    if (position < 0n) position = 0n;
+    viewerPosition = position;
+    var index = viewerIndex = shownIndex(position);
+    
+    var sn = generatePermutation(index, g, x, y, z, order);
+    $("#viewerSN").val(sn).attr('size', (z > 1 ? 2*y : y)).attr('title', "Piece number " + (index+1n));
+    $("#viewerNotation").html(snToNotation(sn));
+    $("#viewerIndex").val((position+1n).toString()).parent().removeClass("has-error");
+    
+    // Selection state.
+    var selected = defaultSelected;
+    if (pieceToggle[index]) selected = !selected;
+    $("#viewerSelect").prop('checked', selected);
+    $("#viewer").toggleClass("unselected", !selected);
     
     // Generate piece.
     var piece = computePiece(sn, {
@@ -1202,10 +1878,8 @@ function updatePiece(element) {
         trapezoidal:$("#trapezoidal").prop('selected')
     });
     
-    // Output to SVG.
-    var svg = drawSVG(piece, $(element).find("svg")[0]);
-    
-    // Adjust viewbox so that all pieces are centered and use the same scale.
+    // Output to SVG, using the same scale for all pieces like the grid.
+    var svg = drawSVG(piece, $("#viewerPiece svg")[0]);
     svg.attr('viewBox', 
         ((piece.bbox.x2-piece.bbox.x)-maxWidth)/2
         + " "
@@ -1214,174 +1888,277 @@ function updatePiece(element) {
 }
 
 /**
- * Toggle select state of given piece.
+ * Progress/regress through the sequence in the full-screen viewer.
  *
- *  @param piece    Piece number to toggle.
+ *  @param delta    Number of pieces to move by, negative to go back.
  */
-function togglePiece(piece) {
-    if (pieceToggle[piece]) {
-        delete pieceToggle[piece];
-        nbToggle--;
+function stepViewer(delta) {
+    viewPiece(viewerPosition + BigInt(delta));
+}
+
+/**
+ * Jump to the piece number typed in the full-screen viewer, counted among the
+ * displayed pieces.
+ */
+function jumpViewer() {
+    var $index = $("#viewerIndex");
+    var value = $index.val().trim();
+    var valid = /^\d+$/.test(value) && BigInt(value) >= 1n && BigInt(value) <= nbShown();
+    $index.parent().toggleClass("has-error", !valid);
+    if (!valid) return;
+    
+    viewPiece(BigInt(value)-1n);
+}
+
+/**
+ * Toggle select state of the piece shown in the full-screen viewer.
+ */
+function toggleViewerPiece() {
+    var piece = viewerIndex.toString();
+    var selected = defaultSelected;
+    if (pieceToggle[piece]) selected = !selected;
+    $("#piece-select-"+piece).prop('checked', !selected);
+    togglePiece(piece);
+    $("#viewerSelect").prop('checked', !selected);
+    $("#viewer").toggleClass("unselected", selected);
+}
+
+/**
+ * Start/stop the slideshow in the full-screen viewer. The slideshow loops back
+ * to the first piece after the last one.
+ */
+function toggleAutoplay() {
+    if (viewerTimer) {
+        clearInterval(viewerTimer);
+        viewerTimer = undefined;
     } else {
-        pieceToggle[piece] = true;
-        nbToggle++;
+        var interval = parseFloat($("#viewerInterval").val());
+        if (!(interval > 0)) interval = 2;
+        viewerTimer = setInterval(function() {
+            viewPiece(viewerPosition < nbShown()-1n ? viewerPosition+1n : 0n);
+        }, interval*1000);
     }
-	$("#piece-"+piece).toggleClass("selected");
-    updateSelected();
+    $("#viewerPlay").toggleClass("active", !!viewerTimer).html(viewerTimer ? "Pause" : "Play");
 }
 
 /**
- * Check/uncheck visible pieces.
+ * Keyboard navigation in the full-screen viewer.
  *
- *  @param  check   Whether to check or uncheck pieces.
+ *  @param e    Keydown event.
  */
-function checkVisible(check) {
-    $(".piece-select").each(function(index, element) {
-        if (element.checked^check) {
-            $(element).click();
-        }
-    });
+function viewerKeydown(e) {
+    if ($("#viewer").hasClass("hidden")) return;
+    if ($(e.target).is("input[type='text'], input[type='number']")) {
+        // Only Escape leaves text fields.
+        if (e.which == 27) e.target.blur();
+        return;
+    }
+    if (e.which == 32 && $(e.target).is("button, input")) {
+        // Space activates the focused control.
+        return;
+    }
+    
+    switch (e.which) {
+        case 37: // Left
+        case 33: // Page up
+            stepViewer(-1);
+            break;
+        case 39: // Right
+        case 34: // Page down
+            stepViewer(1);
+            break;
+        case 36: // Home
+            viewPiece(0);
+            break;
+        case 35: // End
+            viewPiece(nbShown()-1n);
+            break;
+        case 32: // Space
+            toggleViewerPiece();
+            break;
+        case 80: // P
+            toggleAutoplay();
+            break;
+        case 27: // Escape
+            closeViewer();
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
 }
 
 /**
- * Check/uncheck all pieces.
+ * Swipe gestures in the full-screen viewer: swipe left for next piece, right
+ * for previous piece.
  *
- *  @param  check   Whether to check or uncheck pieces.
+ *  @param e    Touch event.
  */
-function checkAll(check) {
-    checkVisible(check);
-    defaultSelected = check;
-    nbToggle = 0;
-    pieceToggle = Array();
-    updateSelected();
+function viewerSwipe(e) {
+    var touches = e.originalEvent.changedTouches;
+    if (e.type == 'touchstart') {
+        viewerTouch = {x: touches[0].clientX, y: touches[0].clientY};
+        return;
+    }
+    if (!viewerTouch) return;
+    var dx = touches[0].clientX - viewerTouch.x;
+    var dy = touches[0].clientY - viewerTouch.y;
+    viewerTouch = undefined;
+    if (Math.abs(dx) > 50 && Math.abs(dx) > 2*Math.abs(dy)) {
+        stepViewer(dx < 0 ? 1 : -1);
+    }
 }
 
 /**
- * Update selected piece counters.
+ * Load pinned pieces from local storage.
  */
-function updateSelected() {
-    nbSelected = (defaultSelected ? nbPieces - nbToggle : nbToggle);
-    $("#totalPieces").html(nbPieces + " " + (nbPieces > 1 ? "IMAGES" : "IMAGE"));
-    $("#selectedPieces").html(nbSelected + " SELECTED");
-    $("#zip").prop('disabled', (nbSelected == 0));
-    $("#print").prop('disabled', (nbSelected == 0));
+function loadPinned() {
+    if (!window.localStorage) return;
+    try {
+        pinned = JSON.parse(localStorage.getItem("shim.pinned")) || [];
+    } catch (e) {
+        // Ignore corrupt storage.
+        pinned = [];
+    }
+    pinned = $.grep(pinned, function(sn) {return typeof(sn) === 'string' && parseSN(sn);});
+    updateTray();
+}
+
+/**
+ * Save pinned pieces to local storage.
+ */
+function storePinned() {
+    if (!window.localStorage) return;
+    localStorage.setItem("shim.pinned", JSON.stringify(pinned));
 }
 
 /**
- * Download piece as SVG.
+ * Pin/unpin piece to/from the comparison tray.
  *
  *  @param sn   The piece serial number.
  */
-function downloadSVG(sn) {
-    // Generate piece.
-    var piece = computePiece(sn, {
-        cropped: $("#cropped").prop('selected'), 
-        trapezoidal:$("#trapezoidal").prop('selected')
-    });
-    
-    // Output to SVG.
-    var svg = drawSVG(piece, $("#tmpSvg svg")[0]);
-    svg.attr('viewBox', 
-        piece.bbox.x 
-        + " " + piece.bbox.y 
-        + " " 
-        + (piece.bbox.x2-piece.bbox.x) 
-        + " " 
-        + (piece.bbox.y2-piece.bbox.y)
-    );
-    svg.attr({fill: 'none', stroke: 'black', strokeWidth: 0.1});
-
-    blob = new Blob([svg.outerSVG()], {type: "image/svg+xml"});
-    saveAs(blob, sn + ".svg");
+function pinPiece(sn) {
+    var i = pinned.indexOf(sn);
+    if (i == -1) {
+        pinned.push(sn);
+    } else {
+        pinned.splice(i, 1);
+    }
+    storePinned();
     
-} 
+    // Update pin buttons of visible pieces.
+    $("#pieces .piece").each(function(index, element) {
+        if ($(element).find(".sn").val().trim() == sn) {
+            $(element).find(".pin").toggleClass("active", i == -1);
+        }
+    });
+    updateTray();
+}
 
 /**
- * Update progress information during PDF output.
- *
- *  @param ratio    Progress ratio [0,1].
- *  @param piece    Number of pieces output so far.
- *  @param nbPieces Total number of pieces (optional).
- *  @param page     Number of pages output so far (optional).
- *  @param nbPages  Total number of pages (optional).
- *  @param doc      Number of documents output so far (optional).
- *  @param nbDocs   Total number of documents (optional).
+ * Unpin all pieces.
  */
-function progress(piece, nbPieces, page, nbPages, doc, nbDocs) {
-    var percent = (piece/nbPieces)*100;
-    $("#progress .progress-bar").attr('aria-valuenow', percent).attr('style','width:'+percent.toFixed(2)+'%').find("span").html(percent.toFixed(0) + "%)");
-    $("#progressPiece").html("Piece " + piece + "/" + nbPieces);
-    $("#progressPage").html((page && nbPages) ? "Page " + page + "/" + nbPages : "");
-    $("#progressDoc").html((doc && nbDocs) ? "Document " + doc + "/" + nbDocs : "");
+function unpinAll() {
+    pinned = [];
+    storePinned();
+    $("#pieces .pin").removeClass("active");
+    updateTray();
 }
 
 /**
- * Output pieces to PDF. Always use pt units.
+ * Move pinned piece to another position in the tray.
+ *
+ *  @param from     Current position.
+ *  @param to       New position.
  */
-function downloadPDF() {
-    var units = $("#unit").val();
-    
-    $("#printDialog").modal('hide');
-    $("#progressDialog").modal('show');
-    piecesToPDF(
-        {
-            cropped: $("#cropped").prop('selected'),
-            trapezoidal: $("#trapezoidal").prop('selected')
-        },
-        {
-            orient: $("[name='orient']:checked").val(), 
-            format: $("[name='format']:checked").val(),
-            sides: $("[name='sides']:checked").val(),
-
-            // Always use pt units, so do conversions upfront.
-            unit: 'pt',
-            margins: {
-                top:    Math.round(parseFloat($("#marginTop").val())    * unitPt[units]),
-                bottom: Math.round(parseFloat($("#marginBottom").val()) * unitPt[units]),
-                left:   Math.round(parseFloat($("#marginLeft").val())   * unitPt[units]),
-                right:  Math.round(parseFloat($("#marginRight").val())  * unitPt[units]),
-            },
-            padding: Math.round(parseFloat($("#padding").val()) * unitPt[units]),
-            
-            justif: $("[name='justif']:checked").val(),
-            cols: $("#printColumns").val(),
-            rows: $("#printRows").val(),
-            
-            compoPos: $("[name='compoPos']:checked").val(),
-            pageNbPos: $("[name='pageNbPos']:checked").val(),
-            labelPos: $("[name='labelPos']:checked").val(),
-        },
-        {
-            maxPieces: parseInt($("#maxPieces").val()),
-            maxPiecesPerDoc: parseInt($("#maxPiecesPerDoc").val()),
-            maxPagesPerDoc: parseInt($("#maxPagesPerDoc").val()),
-        },
-        progress,
-        function() {$("#progressDialog").modal('hide');}
-    );
+function movePinned(from, to) {
+    if (from == to || !(from >= 0 && from < pinned.length)) return;
+    pinned.splice(to, 0, pinned.splice(from, 1)[0]);
+    storePinned();
+    updateTray();
 }
 
 /**
- * Output pieces to zipped SVG.
+ * Output pinned pieces in the comparison tray, side by side or overlaid. All
+ * pieces use the same scale, that of the generated set unless a pinned piece
+ * from another composition is larger.
  */
-function downloadZip() {
-    $("#zipDialog").modal('hide');
-    $("#progressDialog").modal('show');
-    piecesToZip(
-        {
-            cropped: $("#cropped").prop('selected'),
-            trapezoidal: $("#trapezoidal").prop('selected')
-        },
-        {
-            maxPieces: parseInt($("#maxZip").val()),
-            maxPiecesPerZip: parseInt($("#maxPiecesPerZip").val())
-        },
-        progress,
-        function() {$("#progressDialog").modal('hide');}
-    );
+function updateTray() {
+    var $tray = $("#tray");
+    $tray.toggleClass("hidden", pinned.length == 0);
+    $("#nbPinned").html(pinned.length);
+    var $pieces = $("#trayPieces").empty();
+    var $overlay = $("#trayOverlay").empty();
+    if (pinned.length == 0) return;
+    
+    var overlay = ($("input[name='trayMode']:checked").val() == 'overlay');
+    $tray.toggleClass("overlay", overlay);
+    $overlay.toggleClass("hidden", !overlay);
+    
+    // Generate pieces & shared scale.
+    var pieces = [];
+    var width = maxWidth || 0, height = maxHeight || 0;
+    for (var i = 0; i < pinned.length; i++) {
+        var piece = computePiece(pinned[i], {
+            cropped: $("#cropped").prop('selected'), 
+            trapezoidal:$("#trapezoidal").prop('selected')
+        });
+        pieces.push(piece);
+        width = Math.max(width, piece.bbox.x2-piece.bbox.x);
+        height = Math.max(height, piece.bbox.y2-piece.bbox.y);
+    }
+    
+    for (var i = 0; i < pieces.length; i++) {
+        var piece = pieces[i];
+        var color = PIN_COLORS[i % PIN_COLORS.length];
+        var viewBox = 
+            ((piece.bbox.x2-piece.bbox.x)-width)/2
+            + " "
+            + ((piece.bbox.y2-piece.bbox.y)-height)/2
+            + " " + width + " " + height;
+        
+        // Draggable tray item, doubles as legend in overlay mode.
+        var $item = $("<div class='tray-piece' draggable='true'></div>")
+            .attr('data-pin', i)
+            .css('color', color)
+            .append(
+                $("<div class='input-group input-group-sm'></div>")
+                    .append($("<span class='form-control sn'></span>").text(pinned[i] + " " + snToNotation(pinned[i])))
+                    .append($("<span class='input-group-btn'><button type='button' class='btn btn-default' title='Unpin'>&times;</button></span>")
+                        .find("button").click(pinPiece.bind(null, pinned[i])).end())
+            )
+            .append("<svg xmlns='http://www.w3.org/2000/svg' version='1.1'></svg>")
+            .appendTo($pieces);
+        drawSVG(piece, $item.find("svg")[0]).attr('viewBox', viewBox);
+        
+        if (overlay) {
+            // Stacked layer.
+            var $layer = $("<svg xmlns='http://www.w3.org/2000/svg' version='1.1'></svg>")
+                .css('color', color)
+                .appendTo($overlay);
+            drawSVG(piece, $layer[0]).attr('viewBox', viewBox);
+        }
+    }
+    
+    // Reordering by drag & drop.
+    $pieces.find(".tray-piece")
+        .on('dragstart', function(e) {
+            e.originalEvent.dataTransfer.effectAllowed = 'move';
+            e.originalEvent.dataTransfer.setData('text/plain', $(this).attr('data-pin'));
+        })
+        .on('dragover', function(e) {
+            e.preventDefault();
+            $(this).addClass("dragover");
+        })
+        .on('dragleave', function() {
+            $(this).removeClass("dragover");
+        })
+        .on('drop', function(e) {
+            e.preventDefault();
+            movePinned(parseInt(e.originalEvent.dataTransfer.getData('text/plain')), parseInt($(this).attr('data-pin')));
+        });
 }
 
-
 /*
  *
  * Initialization.
@@ -1399,7 +2176,31 @@ function downloadZip() {
 		$(".input-spinbox-up")  .click(function(e) {e.stopPropagation(); var i = $(this).parent().find("input"); i[0].stepUp(); i.change();});
 		$(".input-spinbox-down").click(function(e) {e.stopPropagation(); var i = $(this).parent().find("input"); i[0].stepDown(); i.change();});
 		
+		// Shim geometry.
+		loadGeometryProfiles();
+		
+		// Render theme.
+		loadRenderThemes();
+		
 		// Validate auto-filled field values.
 		validatePermutationSize();
+		
+		// Sort metrics.
+		for (var name in pieceMetrics) {
+			$("#sortMetric").append($("<option>").val(name).text("By " + pieceMetrics[name].label));
+		}
+		
+		// Comparison tray.
+		loadPinned();
+		
+		// Full-screen viewer navigation.
+		$(document).on('keydown', viewerKeydown);
+		$("#viewerPiece").on('touchstart touchend', viewerSwipe);
+		
+		// Restore session from permalink, also on back/forward navigation.
+		restoreHash();
+		$(window).on('hashchange popstate', function() {
+			if (location.hash != currentHash) restoreHash();
+		});
 	});
 }(jQuery));